@@ -0,0 +1,165 @@
+/**
+ * Checks if `value` can be used as a `WeakMap` key.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is weakly keyable, else `false`.
+ */
+function isWeakKeyable(value) {
+  const type = typeof value
+  return value !== null && (type === 'object' || type === 'function')
+}
+
+/**
+ * Creates an empty trie node.
+ *
+ * @private
+ * @returns {Object} Returns the new node.
+ */
+function createNode() {
+  return { 'map': null, 'weak': null, 'has': false, 'value': undefined }
+}
+
+/**
+ * Gets the trie node of `cache` for the argument list `args`.
+ *
+ * @private
+ * @param {Object} cache The cache to query.
+ * @param {Array} args The argument list.
+ * @param {boolean} [create] Specify creating missing nodes.
+ * @returns {Object|undefined} Returns the node, else `undefined`.
+ */
+function getNode(cache, args, create) {
+  let node = cache.__data__
+  let index = -1
+  const { length } = args
+
+  while (node && ++index < length) {
+    const arg = args[index]
+    const type = isWeakKeyable(arg) ? 'weak' : 'map'
+    let children = node[type]
+    if (!children) {
+      if (!create) {
+        return undefined
+      }
+      children = node[type] = type === 'weak' ? new WeakMap : new Map
+    }
+    let child = children.get(arg)
+    if (!child && create) {
+      child = createNode()
+      children.set(arg, child)
+    }
+    node = child
+  }
+  return node
+}
+
+class ArgsCache {
+
+  /**
+   * Creates a cache object keyed by argument lists. Arguments are compared
+   * using [`SameValueZero`](http://ecma-international.org/ecma-262/7.0/#sec-samevaluezero),
+   * so objects match by reference. Object arguments are held weakly, so
+   * entries keyed by them may be garbage collected along with them. Such
+   * entries are still counted by `size`.
+   *
+   * @private
+   * @constructor
+   */
+  constructor() {
+    this.clear()
+  }
+
+  /**
+   * Removes all key-value entries from the cache.
+   *
+   * @memberOf ArgsCache
+   */
+  clear() {
+    this.__data__ = createNode()
+    this.size = 0
+  }
+
+  /**
+   * Removes the argument list `args` and its value from the cache.
+   *
+   * @memberOf ArgsCache
+   * @param {Array} args The argument list of the value to remove.
+   * @returns {boolean} Returns `true` if the entry was removed, else `false`.
+   */
+  delete(args) {
+    const node = getNode(this, args)
+    if (!node || !node.has) {
+      return false
+    }
+    node.has = false
+    node.value = undefined
+    this.size--
+    return true
+  }
+
+  /**
+   * Gets the entries of the cache whose argument lists contain no objects.
+   * Entries keyed by objects are held weakly, so they can't be enumerated.
+   *
+   * @memberOf ArgsCache
+   * @returns {Array} Returns the `[args, value]` entries.
+   */
+  entries() {
+    const result = []
+    const visit = (node, args) => {
+      if (node.has) {
+        result.push([args, node.value])
+      }
+      if (node.map) {
+        node.map.forEach((child, arg) => visit(child, args.concat([arg])))
+      }
+    }
+    visit(this.__data__, [])
+    return result
+  }
+
+  /**
+   * Gets the cache value for the argument list `args`.
+   *
+   * @memberOf ArgsCache
+   * @param {Array} args The argument list of the value to get.
+   * @returns {*} Returns the entry value.
+   */
+  get(args) {
+    const node = getNode(this, args)
+    return node ? node.value : undefined
+  }
+
+  /**
+   * Checks if a cache value for the argument list `args` exists.
+   *
+   * @memberOf ArgsCache
+   * @param {Array} args The argument list of the entry to check.
+   * @returns {boolean} Returns `true` if an entry for `args` exists, else `false`.
+   */
+  has(args) {
+    const node = getNode(this, args)
+    return node ? node.has : false
+  }
+
+  /**
+   * Sets the cache value for the argument list `args` to `value`.
+   *
+   * @memberOf ArgsCache
+   * @param {Array} args The argument list of the value to set.
+   * @param {*} value The value to set.
+   * @returns {Object} Returns the cache instance.
+   */
+  set(args, value) {
+    const node = getNode(this, args, true)
+    if (!node.has) {
+      node.has = true
+      this.size++
+    }
+    node.value = value
+    return this
+  }
+}
+
+export default ArgsCache
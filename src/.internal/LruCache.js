@@ -0,0 +1,174 @@
+/**
+ * Reports the eviction of `key` to the `onEvict` function of `cache`, if any.
+ *
+ * @private
+ * @param {Object} cache The cache that evicted the entry.
+ * @param {*} key The key of the evicted entry.
+ * @param {Object} entry The evicted entry.
+ */
+function evict(cache, key, entry) {
+  if (cache.onEvict) {
+    cache.onEvict(key, entry.value)
+  }
+}
+
+/**
+ * Removes the expired entries of `cache`, reporting each as an eviction.
+ * Unless `all` is `true`, only the expired entries before the first
+ * unexpired one, in recency order, are removed.
+ *
+ * @private
+ * @param {Object} cache The cache to prune.
+ * @param {boolean} [all] Specify removing every expired entry.
+ */
+function prune(cache, all) {
+  const data = cache.__data__
+  const now = Date.now()
+  for (const [key, entry] of data) {
+    if (entry.expires > now) {
+      if (!all) {
+        break
+      }
+    } else {
+      data.delete(key)
+      evict(cache, key, entry)
+    }
+  }
+}
+
+class LruCache {
+
+  /**
+   * Creates a least recently used cache object to store key-value pairs.
+   * Once it holds `maxSize` entries, setting a new key evicts the entry that
+   * was least recently read or set. Entries expire `ttl` milliseconds after
+   * they're set, and are removed when read, when setting another key finds
+   * them least recently used, or when listing entries. Both evictions invoke the `onEvict` property of the cache,
+   * if it's a function, with the key and value of the entry.
+   *
+   * @private
+   * @constructor
+   * @param {number} [maxSize=Infinity] The maximum number of entries.
+   * @param {number} [ttl=Infinity] The milliseconds until an entry expires.
+   */
+  constructor(maxSize = Infinity, ttl = Infinity) {
+    this.__data__ = new Map
+    this.maxSize = maxSize
+    this.ttl = ttl
+  }
+
+  /**
+   * The number of entries in the cache. Reading it removes the least
+   * recently used entries that have expired.
+   *
+   * @memberOf LruCache
+   * @type {number}
+   */
+  get size() {
+    prune(this)
+    return this.__data__.size
+  }
+
+  /**
+   * Removes all key-value entries from the cache.
+   *
+   * @memberOf LruCache
+   */
+  clear() {
+    this.__data__.clear()
+  }
+
+  /**
+   * Removes `key` and its value from the cache.
+   *
+   * @memberOf LruCache
+   * @param {*} key The key of the value to remove.
+   * @returns {boolean} Returns `true` if the entry was removed, else `false`.
+   */
+  delete(key) {
+    return this.__data__.delete(key)
+  }
+
+  /**
+   * Gets the cache value for `key` and marks it as most recently used.
+   *
+   * @memberOf LruCache
+   * @param {*} key The key of the value to get.
+   * @returns {*} Returns the entry value.
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return undefined
+    }
+    const data = this.__data__
+    const entry = data.get(key)
+
+    // Reinsert the entry so the map's insertion order tracks recency.
+    data.delete(key)
+    data.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Checks if an unexpired cache value for `key` exists. Expired entries are
+   * removed.
+   *
+   * @memberOf LruCache
+   * @param {*} key The key of the entry to check.
+   * @returns {boolean} Returns `true` if an entry for `key` exists, else `false`.
+   */
+  has(key) {
+    const entry = this.__data__.get(key)
+    if (entry === undefined) {
+      return false
+    }
+    if (entry.expires <= Date.now()) {
+      this.delete(key)
+      evict(this, key, entry)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Gets the unexpired entries of the cache, from least to most recently
+   * used. Expired entries are removed.
+   *
+   * @memberOf LruCache
+   * @returns {Array} Returns the `[key, value, expires]` entries.
+   */
+  entries() {
+    prune(this, true)
+    return Array.from(this.__data__, ([key, { value, expires }]) => [key, value, expires])
+  }
+
+  /**
+   * Sets the cache `key` to `value`, removing the least recently used
+   * entries that have expired, then evicting the least recently used entry
+   * if the cache is still full.
+   *
+   * @memberOf LruCache
+   * @param {*} key The key of the value to set.
+   * @param {*} value The value to set.
+   * @param {number} [expires] The expiry time in milliseconds since the
+   *  epoch. Defaults to `ttl` milliseconds from now.
+   * @returns {Object} Returns the cache instance.
+   */
+  set(key, value, expires) {
+    const data = this.__data__
+    data.delete(key)
+    if (this.maxSize < 1) {
+      return this
+    }
+    prune(this)
+    if (data.size >= this.maxSize) {
+      const [oldest, entry] = data.entries().next().value
+      data.delete(oldest)
+      evict(this, oldest, entry)
+    }
+    data.set(key, { value, 'expires': expires === undefined ? Date.now() + this.ttl : expires })
+    return this
+  }
+}
+
+export default LruCache
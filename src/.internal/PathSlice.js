@@ -0,0 +1,43 @@
+import slice from '../slice.js'
+
+class PathSlice {
+
+  /**
+   * Creates a path segment that selects the elements of an array-like value
+   * from `start` up to, but not including, `end`, as by `slice`.
+   *
+   * @private
+   * @constructor
+   * @param {number} [start] The start position.
+   * @param {number} [end] The end position.
+   */
+  constructor(start, end) {
+    this.start = start
+    this.end = end
+    Object.freeze(this)
+  }
+
+  /**
+   * Selects the elements of `array` in the range of the slice.
+   *
+   * @memberOf PathSlice
+   * @param {Array} array The array-like value to slice.
+   * @returns {Array} Returns the slice of `array`.
+   */
+  apply(array) {
+    return slice(array, this.start, this.end)
+  }
+
+  /**
+   * Converts the slice to its `start:end` path notation.
+   *
+   * @memberOf PathSlice
+   * @returns {string} Returns the path notation.
+   */
+  toString() {
+    const { start, end } = this
+    return `${start === undefined ? '' : start}:${end === undefined ? '' : end}`
+  }
+}
+
+export default PathSlice
@@ -0,0 +1,35 @@
+class PathWildcard {
+
+  /**
+   * Creates a path segment that matches every child of a value or, if `deep`
+   * is `true`, the value and all of its descendants. Use the shared
+   * `PathWildcard.ANY` and `PathWildcard.DEEP` instances, which are parsed
+   * from unquoted `*` and `**` segments, so quoted keys stay literal.
+   *
+   * @private
+   * @constructor
+   * @param {boolean} [deep] Specify matching all descendants.
+   */
+  constructor(deep) {
+    this.deep = !!deep
+    Object.freeze(this)
+  }
+
+  /**
+   * Converts the wildcard to its `*` or `**` path notation.
+   *
+   * @memberOf PathWildcard
+   * @returns {string} Returns the path notation.
+   */
+  toString() {
+    return this.deep ? '**' : '*'
+  }
+}
+
+/** The wildcard matching every child of a value. */
+PathWildcard.ANY = new PathWildcard(false)
+
+/** The wildcard matching a value and all of its descendants. */
+PathWildcard.DEEP = new PathWildcard(true)
+
+export default PathWildcard
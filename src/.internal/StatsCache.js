@@ -0,0 +1,144 @@
+class StatsCache {
+
+  /**
+   * Creates a cache object that counts the hits, misses, and evictions of
+   * `cache` and reports them to `hooks`. Evictions are reported by `cache`
+   * invoking its `onEvict` property.
+   *
+   * @private
+   * @constructor
+   * @param {Object} cache The cache to instrument.
+   * @param {Object} [hooks={}] The `onHit`, `onMiss`, and `onEvict` functions.
+   */
+  constructor(cache, hooks = {}) {
+    this.__data__ = cache
+    this.__hooks__ = hooks
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+
+    cache.onEvict = (key, value) => {
+      this.evictions++
+      if (hooks.onEvict) {
+        hooks.onEvict(key, value)
+      }
+    }
+  }
+
+  /**
+   * The number of entries in the cache.
+   *
+   * @memberOf StatsCache
+   * @type {number}
+   */
+  get size() {
+    return this.__data__.size
+  }
+
+  /**
+   * Removes all key-value entries from the cache.
+   *
+   * @memberOf StatsCache
+   */
+  clear() {
+    this.__data__.clear()
+  }
+
+  /**
+   * Removes `key` and its value from the cache.
+   *
+   * @memberOf StatsCache
+   * @param {*} key The key of the value to remove.
+   * @returns {boolean} Returns `true` if the entry was removed, else `false`.
+   */
+  delete(key) {
+    return this.__data__.delete(key)
+  }
+
+  /**
+   * Gets the entries of the cache.
+   *
+   * @memberOf StatsCache
+   * @returns {Iterable} Returns the entries.
+   */
+  entries() {
+    return this.__data__.entries()
+  }
+
+  /**
+   * Gets the cache value for `key`.
+   *
+   * @memberOf StatsCache
+   * @param {*} key The key of the value to get.
+   * @returns {*} Returns the entry value.
+   */
+  get(key) {
+    return this.__data__.get(key)
+  }
+
+  /**
+   * Checks if a cache value for `key` exists, counting a hit if it does or a
+   * miss if it doesn't.
+   *
+   * @memberOf StatsCache
+   * @param {*} key The key of the entry to check.
+   * @returns {boolean} Returns `true` if an entry for `key` exists, else `false`.
+   */
+  has(key) {
+    const result = this.__data__.has(key)
+    const hook = result ? this.__hooks__.onHit : this.__hooks__.onMiss
+
+    if (result) {
+      this.hits++
+    } else {
+      this.misses++
+    }
+    if (hook) {
+      hook(key)
+    }
+    return result
+  }
+
+  /**
+   * Sets the cache `key` to `value`.
+   *
+   * @memberOf StatsCache
+   * @param {*} key The key of the value to set.
+   * @param {*} value The value to set.
+   * @param {number} [expires] The expiry time in milliseconds since the epoch.
+   * @returns {Object} Returns the cache instance.
+   */
+  set(key, value, expires) {
+    const cache = this.__data__
+    this.__data__ = cache.set(key, value, expires) || cache
+    return this
+  }
+
+  /**
+   * Replaces the tags of the entry for `key` with `tags`, if the wrapped
+   * cache supports tags.
+   *
+   * @memberOf StatsCache
+   * @param {*} key The key of the entry.
+   * @param {Array} tags The tags of the entry.
+   */
+  tag(key, tags) {
+    this.__data__.tag(key, tags)
+  }
+
+  /**
+   * Gets the counters of the cache.
+   *
+   * @memberOf StatsCache
+   * @returns {Object} Returns the `hits`, `misses`, `evictions`, `size`, and
+   *  `hitRatio`, which is `0` before the first check.
+   */
+  stats() {
+    // Read `size` first, since it may evict expired entries.
+    const { size, hits, misses, evictions } = this
+    const total = hits + misses
+    return { hits, misses, evictions, size, 'hitRatio': total ? hits / total : 0 }
+  }
+}
+
+export default StatsCache
@@ -0,0 +1,197 @@
+import ArgsCache from './ArgsCache.js'
+import memoizeTags from './memoizeTags.js'
+
+/**
+ * Removes the weak reference `ref` to a tag record from the entries of
+ * `memoizeTags` for `tags`.
+ *
+ * @private
+ * @param {WeakRef} ref The reference to remove.
+ * @param {Array} tags The tags of the record.
+ */
+function removeRef(ref, tags) {
+  tags.forEach((tag) => {
+    const refs = memoizeTags.get(tag)
+    if (refs) {
+      refs.delete(ref)
+      if (!refs.size) {
+        memoizeTags.delete(tag)
+      }
+    }
+  })
+}
+
+/** Used to remove the references to records collected with their keys. */
+const registry = new FinalizationRegistry(({ ref, tags, records }) => {
+  records.delete(ref)
+  removeRef(ref, tags)
+})
+
+class TagCache {
+
+  /**
+   * Creates a cache object that records the tags of the entries of `cache`
+   * for `invalidateTag`. Tags are dropped when their entry is deleted,
+   * cleared, or evicted by `cache` invoking its `onEvict` property.
+   * Evictions are reported in turn to the `onEvict` property of this cache.
+   *
+   * @private
+   * @constructor
+   * @param {Object} cache The cache to tag entries of.
+   * @param {boolean} [allArgs] Specify that keys are argument lists.
+   */
+  constructor(cache, allArgs) {
+    this.__data__ = cache
+    this.__allArgs__ = !!allArgs
+    this.clearTags()
+
+    cache.onEvict = (key, value) => {
+      this.untag(key)
+      if (this.onEvict) {
+        this.onEvict(key, value)
+      }
+    }
+  }
+
+  /**
+   * The number of entries in the cache.
+   *
+   * @memberOf TagCache
+   * @type {number}
+   */
+  get size() {
+    return this.__data__.size
+  }
+
+  /**
+   * Removes all key-value entries and their tags from the cache.
+   *
+   * @memberOf TagCache
+   */
+  clear() {
+    this.clearTags()
+    this.__data__.clear()
+  }
+
+  /**
+   * Removes all tags of the cache.
+   *
+   * @memberOf TagCache
+   */
+  clearTags() {
+    if (this.__records__) {
+      this.__records__.forEach((ref) => {
+        const record = ref.deref()
+        if (record) {
+          registry.unregister(record)
+          removeRef(ref, record.tags)
+        }
+      })
+    }
+    // Records are keyed by argument lists so object keys are held weakly.
+    this.__tags__ = new ArgsCache
+    this.__records__ = new Set
+  }
+
+  /**
+   * Removes `key`, its value, and its tags from the cache.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the value to remove.
+   * @returns {boolean} Returns `true` if the entry was removed, else `false`.
+   */
+  delete(key) {
+    this.untag(key)
+    return this.__data__.delete(key)
+  }
+
+  /**
+   * Gets the entries of the cache.
+   *
+   * @memberOf TagCache
+   * @returns {Iterable} Returns the entries.
+   */
+  entries() {
+    return this.__data__.entries()
+  }
+
+  /**
+   * Gets the cache value for `key`.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the value to get.
+   * @returns {*} Returns the entry value.
+   */
+  get(key) {
+    return this.__data__.get(key)
+  }
+
+  /**
+   * Checks if a cache value for `key` exists.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the entry to check.
+   * @returns {boolean} Returns `true` if an entry for `key` exists, else `false`.
+   */
+  has(key) {
+    return this.__data__.has(key)
+  }
+
+  /**
+   * Sets the cache `key` to `value`.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the value to set.
+   * @param {*} value The value to set.
+   * @param {number} [expires] The expiry time in milliseconds since the epoch.
+   * @returns {Object} Returns the cache instance.
+   */
+  set(key, value, expires) {
+    const cache = this.__data__
+    this.__data__ = cache.set(key, value, expires) || cache
+    return this
+  }
+
+  /**
+   * Replaces the tags of the entry for `key` with `tags`.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the entry.
+   * @param {Array} tags The tags of the entry.
+   */
+  tag(key, tags) {
+    this.untag(key)
+    const record = { 'cache': this, key, 'tags': Array.from(tags) }
+    const ref = record.ref = new WeakRef(record)
+
+    record.tags.forEach((tag) => {
+      let refs = memoizeTags.get(tag)
+      if (!refs) {
+        memoizeTags.set(tag, refs = new Set)
+      }
+      refs.add(ref)
+    })
+    this.__tags__.set(this.__allArgs__ ? key : [key], record)
+    this.__records__.add(ref)
+    registry.register(record, { ref, 'tags': record.tags, 'records': this.__records__ }, record)
+  }
+
+  /**
+   * Removes the tags of the entry for `key`.
+   *
+   * @memberOf TagCache
+   * @param {*} key The key of the entry.
+   */
+  untag(key) {
+    const args = this.__allArgs__ ? key : [key]
+    const record = this.__tags__.get(args)
+    if (record) {
+      this.__tags__.delete(args)
+      this.__records__.delete(record.ref)
+      registry.unregister(record)
+      removeRef(record.ref, record.tags)
+    }
+  }
+}
+
+export default TagCache
@@ -0,0 +1,42 @@
+import isPlainObject from '../isPlainObject.js'
+
+/**
+ * Invokes `iteratee` for each leaf of `object` with the arguments
+ * (value, path). Arrays and plain objects are descended into, with array
+ * indexes as numbers in `path`, while all other values, empty arrays and
+ * empty objects are leaves. Circular references are skipped.
+ *
+ * @private
+ * @param {Object} object The object to iterate over.
+ * @param {Function} iteratee The function invoked per leaf.
+ */
+function baseEachLeaf(object, iteratee) {
+  const seen = new Set
+
+  const visit = (value, path) => {
+    const isArr = Array.isArray(value)
+    const props = isArr ? null : (isPlainObject(value) ? Object.keys(value) : undefined)
+    const length = isArr ? value.length : (props ? props.length : 0)
+
+    if (!length) {
+      if (path.length) {
+        iteratee(value, path)
+      }
+      return
+    }
+    if (seen.has(value)) {
+      return
+    }
+    seen.add(value)
+    let index = -1
+    while (++index < length) {
+      const key = isArr ? index : props[index]
+      visit(value[key], path.concat([key]))
+    }
+    seen.delete(value)
+  }
+
+  visit(object, [])
+}
+
+export default baseEachLeaf
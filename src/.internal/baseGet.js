@@ -1,8 +1,9 @@
+import baseGetKey from './baseGetKey.js'
 import castPath from './castPath.js'
-import toKey from './toKey.js'
 
 /**
  * The base implementation of `get` without support for default values.
+ * Registered containers, such as `Map`, are read with their accessor.
  *
  * @private
  * @param {Object} object The object to query.
@@ -16,7 +17,7 @@ function baseGet(object, path) {
   const length = path.length
 
   while (object != null && index < length) {
-    object = object[toKey(path[index++])]
+    object = baseGetKey(object, path[index++])
   }
   return (index && index == length) ? object : undefined
 }
@@ -0,0 +1,103 @@
+import PathSlice from './PathSlice.js'
+import PathWildcard from './PathWildcard.js'
+import baseGetKey from './baseGetKey.js'
+import castPath from './castPath.js'
+import isArrayLike from '../isArrayLike.js'
+import isObject from '../isObject.js'
+import resolveKey from './resolveKey.js'
+import toKey from './toKey.js'
+
+/**
+ * Invokes `iteratee` for each own enumerable child of `value` with the
+ * arguments (child, key). Array-like values yield numeric keys and maps
+ * yield their own keys.
+ *
+ * @private
+ * @param {Object} value The container to iterate over.
+ * @param {Function} iteratee The function invoked per child.
+ */
+function eachChild(value, iteratee) {
+  if (value instanceof Map) {
+    value.forEach((child, key) => iteratee(child, key))
+    return
+  }
+  if (isArrayLike(value)) {
+    let index = -1
+    const length = value.length
+    while (++index < length) {
+      iteratee(value[index], index)
+    }
+    return
+  }
+  const props = Object.keys(value)
+  let index = -1
+  const length = props.length
+  while (++index < length) {
+    iteratee(value[props[index]], props[index])
+  }
+}
+
+/**
+ * The base implementation of `getAll`. A `*` segment matches every child of
+ * the current value, while a `**` segment matches the current value and all
+ * of its descendants. A `PathSlice` segment matches each element in its
+ * range, so every resolved path consists of single keys.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the properties to get.
+ * @returns {Object[]} Returns the matches as `{ path, value }` entries.
+ */
+function baseGetAll(object, path) {
+  path = castPath(path, object)
+
+  const length = path.length
+  const result = []
+  const seen = new Set
+
+  const visit = (value, index, resolved) => {
+    if (index == length) {
+      result.push({ 'path': resolved, 'value': value })
+      return
+    }
+    const segment = path[index]
+    if (segment === PathWildcard.DEEP) {
+      visit(value, index + 1, resolved)
+      if (isObject(value)) {
+        // Skip circular references back to an ancestor.
+        seen.add(value)
+        eachChild(value, (child, key) => {
+          if (!seen.has(child)) {
+            visit(child, index, resolved.concat([key]))
+          }
+        })
+        seen.delete(value)
+      }
+    }
+    else if (segment === PathWildcard.ANY) {
+      if (isObject(value)) {
+        eachChild(value, (child, key) => visit(child, index + 1, resolved.concat([key])))
+      }
+    }
+    else if (segment instanceof PathSlice && isArrayLike(value)) {
+      const indexes = segment.apply(Array.from(value, (_, position) => position))
+      indexes.forEach((position) => visit(value[position], index + 1, resolved.concat([position])))
+    }
+    else if (value != null) {
+      const key = resolveKey(value, segment)
+      if (key !== undefined) {
+        const child = baseGetKey(value, key)
+        if (child !== undefined || toKey(key) in Object(value)) {
+          visit(child, index + 1, resolved.concat([key]))
+        }
+      }
+    }
+  }
+
+  if (length) {
+    visit(object, 0, [])
+  }
+  return result
+}
+
+export default baseGetAll
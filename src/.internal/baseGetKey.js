@@ -0,0 +1,38 @@
+import PathSlice from './PathSlice.js'
+import isArrayLike from '../isArrayLike.js'
+import pathAccessors from './pathAccessors.js'
+import toKey from './toKey.js'
+
+/**
+ * Gets the value of the path segment `key` of `object`. Instances of
+ * registered containers, such as `Map`, are read with their accessor and
+ * receive `key` as is. For array-like values, negative integer keys count
+ * from the end and `PathSlice` keys select a sub-array. All other values are
+ * read as properties.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {*} key The path segment to get.
+ * @returns {*} Returns the resolved value.
+ */
+function baseGetKey(object, key) {
+  let index = pathAccessors.length
+
+  while (index--) {
+    const [Ctor, getter] = pathAccessors[index]
+    if (object instanceof Ctor) {
+      return getter(object, key)
+    }
+  }
+  if (isArrayLike(object)) {
+    if (key instanceof PathSlice) {
+      return key.apply(object)
+    }
+    if (typeof key === 'number' && key < 0 && key % 1 == 0) {
+      return object[object.length + key]
+    }
+  }
+  return object[toKey(key)]
+}
+
+export default baseGetKey
@@ -3,6 +3,7 @@ import assignMergeValue from './assignMergeValue.js'
 import baseFor from './baseFor.js'
 import baseMergeDeep from './baseMergeDeep.js'
 import isObject from '../isObject.js'
+import isUnsafeKey from './isUnsafeKey.js'
 import keysIn from '../keysIn.js'
 
 /**
@@ -26,8 +27,9 @@ function baseMerge(object, source, srcIndex, customizer, stack) {
       baseMergeDeep(object, source, key, srcIndex, baseMerge, customizer, stack)
     }
     else {
+      const objValue = isUnsafeKey(object, key) ? undefined : object[key]
       let newValue = customizer
-        ? customizer(object[key], srcValue, `${key}`, object, source, stack)
+        ? customizer(objValue, srcValue, `${key}`, object, source, stack)
         : undefined
 
       if (newValue === undefined) {
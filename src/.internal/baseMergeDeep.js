@@ -9,12 +9,14 @@ import isBuffer from '../isBuffer.js'
 import isObject from '../isObject.js'
 import isPlainObject from '../isPlainObject.js'
 import isTypedArray from '../isTypedArray.js'
+import isUnsafeKey from './isUnsafeKey.js'
 import toPlainObject from '../toPlainObject.js'
 
 /**
  * A specialized version of `baseMerge` for arrays and objects which performs
  * deep merges and tracks traversed objects enabling objects with circular
- * references to be merged.
+ * references to be merged. The destination values of keys that could reach a
+ * shared prototype are ignored, so such keys are merged into own properties.
  *
  * @private
  * @param {Object} object The destination object.
@@ -27,7 +29,7 @@ import toPlainObject from '../toPlainObject.js'
  *  counterparts.
  */
 function baseMergeDeep(object, source, key, srcIndex, mergeFunc, customizer, stack) {
-  const objValue = object[key]
+  const objValue = isUnsafeKey(object, key) ? undefined : object[key]
   const srcValue = source[key]
   const stacked = stack.get(srcValue)
 
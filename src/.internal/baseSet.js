@@ -2,10 +2,15 @@ import assignValue from './assignValue.js'
 import castPath from './castPath.js'
 import isIndex from './isIndex.js'
 import isObject from '../isObject.js'
+import isUnsafePath from './isUnsafePath.js'
+import resolvePath from './resolvePath.js'
 import toKey from './toKey.js'
 
 /**
- * The base implementation of `set`.
+ * The base implementation of `set`. Negative indexes of arrays count from
+ * the end. Paths with ranges, negative indexes out of range or of values
+ * that aren't array-like, including missing ones, or keys that could reach
+ * a shared prototype are ignored.
  *
  * @private
  * @param {Object} object The object to modify.
@@ -18,7 +23,10 @@ function baseSet(object, path, value, customizer) {
   if (!isObject(object)) {
     return object
   }
-  path = castPath(path, object)
+  path = resolvePath(object, castPath(path, object))
+  if (!path || isUnsafePath(object, path)) {
+    return object
+  }
 
   const length = path.length
   const lastIndex = length - 1
@@ -1,10 +1,14 @@
 import castPath from './castPath.js'
+import isUnsafePath from './isUnsafePath.js'
 import last from '../last.js'
 import parent from './parent.js'
+import resolvePath from './resolvePath.js'
 import toKey from './toKey.js'
 
 /**
- * The base implementation of `unset`.
+ * The base implementation of `unset`. Negative indexes of arrays count from
+ * the end. Paths with ranges, negative indexes out of range, or keys that
+ * could reach a shared prototype are not deleted.
  *
  * @private
  * @param {Object} object The object to modify.
@@ -12,7 +16,10 @@ import toKey from './toKey.js'
  * @returns {boolean} Returns `true` if the property is deleted, else `false`.
  */
 function baseUnset(object, path) {
-  path = castPath(path, object)
+  path = resolvePath(object, castPath(path, object))
+  if (!path || isUnsafePath(object, path)) {
+    return false
+  }
   object = parent(object, path)
   return object == null || delete object[toKey(last(path))]
 }
@@ -0,0 +1,42 @@
+import castPath from './castPath.js'
+import copyContainer from './copyContainer.js'
+import has from '../has.js'
+import isCopyablePath from './isCopyablePath.js'
+import isUnsafePath from './isUnsafePath.js'
+import resolvePath from './resolvePath.js'
+import toKey from './toKey.js'
+
+/**
+ * The base implementation of `unsetIn`. Containers along `path` are copied
+ * before the property is removed, while every other branch is shared with
+ * `object`. Negative indexes of arrays count from the end, and paths through
+ * containers other than arrays and plain objects leave `object` unchanged.
+ *
+ * @private
+ * @param {Object} object The object to update.
+ * @param {Array|string} path The property path to unset.
+ * @returns {Object} Returns the new object, or `object` if `path` doesn't exist.
+ */
+function baseUnsetIn(object, path) {
+  path = resolvePath(object, castPath(path, object))
+  if (!path || !has(object, path) || isUnsafePath(object, path) || !isCopyablePath(object, path)) {
+    return object
+  }
+  const lastIndex = path.length - 1
+
+  const dissoc = (nested, index) => {
+    const key = toKey(path[index])
+    const result = copyContainer(nested)
+
+    if (index == lastIndex) {
+      delete result[key]
+    } else {
+      result[key] = dissoc(nested[key], index + 1)
+    }
+    return result
+  }
+
+  return dissoc(object, 0)
+}
+
+export default baseUnsetIn
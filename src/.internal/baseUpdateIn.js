@@ -0,0 +1,62 @@
+import baseAssignValue from './baseAssignValue.js'
+import castPath from './castPath.js'
+import copyContainer from './copyContainer.js'
+import eq from '../eq.js'
+import isCopyablePath from './isCopyablePath.js'
+import isIndex from './isIndex.js'
+import isObject from '../isObject.js'
+import isUnsafePath from './isUnsafePath.js'
+import resolvePath from './resolvePath.js'
+import toKey from './toKey.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * The base implementation of `updateIn` and `setIn`. Containers along `path`
+ * are copied before being written to, while every other branch is shared
+ * with `object`. Negative indexes of arrays count from the end. Paths that
+ * `baseSet` ignores, and paths through containers other than arrays and
+ * plain objects, such as maps and dates, leave `object` unchanged.
+ *
+ * @private
+ * @param {Object} object The object to update.
+ * @param {Array|string} path The path of the property to update.
+ * @param {Function} updater The function to produce the updated value.
+ * @returns {Object} Returns the new object, or `object` if nothing changed.
+ */
+function baseUpdateIn(object, path, updater) {
+  if (!isObject(object)) {
+    return object
+  }
+  path = resolvePath(object, castPath(path, object))
+  if (!path || isUnsafePath(object, path) || !isCopyablePath(object, path)) {
+    return object
+  }
+
+  const length = path.length
+  const lastIndex = length - 1
+
+  const assoc = (nested, index) => {
+    const key = toKey(path[index])
+    const exists = isObject(nested)
+    const objValue = exists ? nested[key] : undefined
+    const newValue = index == lastIndex
+      ? updater(objValue)
+      : assoc(objValue, index + 1)
+
+    if (exists && hasOwnProperty.call(nested, key) && eq(objValue, newValue)) {
+      return nested
+    }
+    const result = exists
+      ? copyContainer(nested)
+      : (isIndex(path[index]) ? [] : {})
+
+    baseAssignValue(result, key, newValue)
+    return result
+  }
+
+  return length ? assoc(object, 0) : object
+}
+
+export default baseUpdateIn
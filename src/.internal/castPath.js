@@ -1,8 +1,13 @@
+import isJsonPointer from './isJsonPointer.js'
 import isKey from './isKey.js'
+import pointerToPath from '../pointerToPath.js'
 import stringToPath from './stringToPath.js'
 
 /**
- * Casts `value` to a path array if it's not one.
+ * Casts `value` to a path array if it's not one. Strings starting with `/`
+ * are parsed as JSON Pointers unless they name a property of `object` or
+ * aren't valid pointers, in which case they're parsed like other strings.
+ * Likewise, `*` and `**` are wildcards unless they name a property.
  *
  * @private
  * @param {*} value The value to inspect.
@@ -13,6 +18,12 @@ function castPath(value, object) {
   if (Array.isArray(value)) {
     return value
   }
+  if (isJsonPointer(value) && !(object != null && value in Object(object))) {
+    return pointerToPath(value)
+  }
+  if ((value === '*' || value === '**') && !(object != null && value in Object(object))) {
+    return stringToPath(value)
+  }
   return isKey(value, object) ? [value] : stringToPath(value)
 }
 
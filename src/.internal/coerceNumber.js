@@ -0,0 +1,24 @@
+import toNumber from '../toNumber.js'
+
+/** Used to match strings that are empty or only whitespace. */
+const reIsBlank = /^\s*$/
+
+/**
+ * Converts `value` to a number as by `toNumber`. Values that are `null`,
+ * arrays, or blank strings, which `toNumber` would convert to `0`, and values
+ * that convert to `NaN` are invalid.
+ *
+ * @private
+ * @param {*} value The value to convert.
+ * @returns {number|undefined} Returns the number, or `undefined` if `value`
+ *  is invalid.
+ */
+function coerceNumber(value) {
+  if (value === null || Array.isArray(value) || (typeof value === 'string' && reIsBlank.test(value))) {
+    return undefined
+  }
+  const result = toNumber(value)
+  return result === result ? result : undefined
+}
+
+export default coerceNumber
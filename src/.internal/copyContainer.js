@@ -0,0 +1,26 @@
+import baseAssignValue from './baseAssignValue.js'
+import copyArray from './copyArray.js'
+import getSymbols from './getSymbols.js'
+import initCloneObject from './initCloneObject.js'
+
+/**
+ * Creates a shallow copy of the array or plain object `value`, preserving
+ * the prototype of objects. Other objects, such as maps and dates, can't be
+ * copied this way; use `isCopyablePath` to check for them first.
+ *
+ * @private
+ * @param {Array|Object} value The array or plain object to copy.
+ * @returns {Array|Object} Returns the copied container.
+ */
+function copyContainer(value) {
+  if (Array.isArray(value)) {
+    return copyArray(value)
+  }
+  const result = initCloneObject(value)
+  Object.keys(value).concat(getSymbols(value)).forEach((key) => {
+    baseAssignValue(result, key, value[key])
+  })
+  return result
+}
+
+export default copyContainer
@@ -0,0 +1,17 @@
+/**
+ * Creates a lens from the `view` and `set` functions, deriving `over`.
+ *
+ * @private
+ * @param {Function} view The function to read the focused value.
+ * @param {Function} set The function to immutably write the focused value.
+ * @returns {Object} Returns the new lens.
+ */
+function createLens(view, set) {
+  return {
+    view,
+    set,
+    'over': (object, updater) => set(object, updater(view(object)))
+  }
+}
+
+export default createLens
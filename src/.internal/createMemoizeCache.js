@@ -0,0 +1,70 @@
+import ArgsCache from './ArgsCache.js'
+import LruCache from './LruCache.js'
+import StatsCache from './StatsCache.js'
+import TagCache from './TagCache.js'
+import exportCache from './exportCache.js'
+import importCache from './importCache.js'
+
+/**
+ * Checks if `value` is a valid `maxSize` or `ttl` option.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is a non-negative number or
+ *  nullish, else `false`.
+ */
+function isLimit(value) {
+  return value == null || (typeof value === 'number' && value >= 0)
+}
+
+/**
+ * Creates the cache of a memoized function. It's an `ArgsCache` if
+ * `options.allArgs` is `true`, an `LruCache` if `options.maxSize` or
+ * `options.ttl` is given, else a `Cache` instance. The cache is wrapped in a
+ * `TagCache` if `options.tags` is given, and then in a `StatsCache` if
+ * `options.stats` or any hook is given. Caches that have an `entries` method
+ * but no `export` or `import` methods get ones based on `exportCache` and
+ * `importCache`. Only `LruCache` instances and caches with a truthy
+ * `supportsExpiry` property import entries that have an expiry time.
+ *
+ * @private
+ * @param {Object} options The memoize options.
+ * @param {Function} [Cache=Map] The constructor of unbounded caches.
+ * @returns {Object} Returns the new cache.
+ * @throws {TypeError} Throws if `options.maxSize` or `options.ttl` isn't a
+ *  non-negative number.
+ */
+function createMemoizeCache(options, Cache) {
+  const { maxSize, ttl, resolver, allArgs, tags, stats, onHit, onMiss, onEvict } = options
+  let cache
+
+  if (!isLimit(maxSize) || !isLimit(ttl)) {
+    throw new TypeError('Expected `maxSize` and `ttl` to be non-negative numbers')
+  }
+  if (allArgs) {
+    if (maxSize != null || ttl != null || resolver != null) {
+      throw new TypeError('Expected `allArgs` without `maxSize`, `ttl`, or `resolver`')
+    }
+    cache = new ArgsCache
+  } else if (maxSize != null || ttl != null) {
+    cache = new LruCache(maxSize == null ? Infinity : maxSize, ttl == null ? Infinity : ttl)
+  } else {
+    cache = new (Cache || Map)
+  }
+  const expiring = cache instanceof LruCache || !!cache.supportsExpiry
+
+  if (tags) {
+    cache = new TagCache(cache, allArgs)
+  }
+  if (stats || onHit || onMiss || onEvict) {
+    cache = new StatsCache(cache, { onHit, onMiss, onEvict })
+  }
+  if (typeof cache.entries === 'function' &&
+      typeof cache.export !== 'function' && typeof cache.import !== 'function') {
+    cache.export = (encoder) => exportCache(cache, encoder)
+    cache.import = (snapshot, encoder) => importCache(cache, snapshot, encoder, expiring)
+  }
+  return cache
+}
+
+export default createMemoizeCache
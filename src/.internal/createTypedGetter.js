@@ -0,0 +1,40 @@
+import castPath from './castPath.js'
+import formatPath from './formatPath.js'
+import get from '../get.js'
+import getOrThrow from '../getOrThrow.js'
+
+/**
+ * Creates a function that gets the value at `path` of `object` and converts
+ * it with `coerce`. When `defaultValue` is given it's returned for missing
+ * or invalid values, otherwise a `PathError` is thrown for missing values
+ * and a `TypeError` for invalid ones.
+ *
+ * @private
+ * @param {Function|string} description The description of the expected
+ *  type, or a function that returns it when it's needed.
+ * @param {Function} coerce The function to convert a resolved value,
+ *  returning `undefined` if the value is invalid.
+ * @returns {Function} Returns the new typed getter function.
+ */
+function createTypedGetter(description, coerce) {
+  return (object, path, defaultValue) => {
+    const hasDefault = defaultValue !== undefined
+    const value = hasDefault ? get(object, path) : getOrThrow(object, path)
+
+    if (value === undefined) {
+      return defaultValue
+    }
+    const result = coerce(value)
+    if (result !== undefined) {
+      return result
+    }
+    if (hasDefault) {
+      return defaultValue
+    }
+    const found = typeof value === 'string' ? `"${value}"` : (value === null ? 'null' : typeof value)
+    const expected = typeof description === 'function' ? description() : description
+    throw new TypeError(`Expected "${formatPath(castPath(path, object))}" to be ${expected}, found ${found}`)
+  }
+}
+
+export default createTypedGetter
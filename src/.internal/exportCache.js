@@ -0,0 +1,26 @@
+import jsonEncoder from './jsonEncoder.js'
+
+/**
+ * Creates a JSON safe snapshot of the entries of `cache`. Entries are read
+ * from `cache.entries()` as `[key, value, expires]` arrays, where `expires`
+ * is the optional expiry time in milliseconds since the epoch. Entries whose
+ * key or value `encoder.encode` returns `undefined` for are skipped.
+ *
+ * @private
+ * @param {Object} cache The cache to export.
+ * @param {Object} [encoder=jsonEncoder] The `encode` and `decode` functions.
+ * @returns {Object} Returns the snapshot.
+ */
+function exportCache(cache, encoder = jsonEncoder) {
+  const entries = []
+  for (const [key, value, expires] of cache.entries()) {
+    const encodedKey = encoder.encode(key)
+    const encodedValue = encodedKey === undefined ? undefined : encoder.encode(value)
+    if (encodedValue !== undefined) {
+      entries.push([encodedKey, encodedValue, isFinite(expires) ? expires : null])
+    }
+  }
+  return { entries }
+}
+
+export default exportCache
@@ -0,0 +1,40 @@
+import PathSlice from './PathSlice.js'
+import PathWildcard from './PathWildcard.js'
+import isIndex from './isIndex.js'
+
+/** Used to match keys that can be written in dot notation. */
+const reIsIdentifier = /^[A-Za-z_$][\w$]*$/
+
+/** Used to match characters that must be escaped in quoted keys. */
+const reUnescapedChar = /["\\]/g
+
+/**
+ * Formats the property path array `path` as a string that `stringToPath`
+ * parses back to `path`. Integers whose magnitude is a valid index are
+ * written as `[0]` or `[-1]`, slices as `[2:5]`, wildcards and identifiers
+ * in dot notation, and every other key, including other numbers, as a double
+ * quoted bracket with `"` and `\` escaped. Such numbers parse back as
+ * strings.
+ *
+ * @private
+ * @param {Array} path The property path array to format.
+ * @returns {string} Returns the path string.
+ */
+function formatPath(path) {
+  return path.reduce((result, key) => {
+    if ((typeof key === 'number' && isIndex(Math.abs(key))) ||
+        key instanceof PathSlice) {
+      return `${result}[${key}]`
+    }
+    if (key instanceof PathWildcard) {
+      return result ? `${result}.${key}` : `${key}`
+    }
+    key = String(key)
+    if (reIsIdentifier.test(key)) {
+      return result ? `${result}.${key}` : key
+    }
+    return `${result}["${key.replace(reUnescapedChar, '\\$&')}"]`
+  }, '')
+}
+
+export default formatPath
@@ -0,0 +1,50 @@
+import PathSlice from './PathSlice.js'
+import castPath from './castPath.js'
+import isArguments from '../isArguments.js'
+import isArrayLike from '../isArrayLike.js'
+import isIndex from './isIndex.js'
+import isLength from '../isLength.js'
+import resolveKey from './resolveKey.js'
+import toKey from './toKey.js'
+
+/**
+ * Checks if `path` exists on `object`. Negative indexes of array-like values
+ * count from the end, and ranges of them always exist.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path to check.
+ * @param {Function} hasFunc The function to check properties.
+ * @returns {boolean} Returns `true` if `path` exists, else `false`.
+ */
+function hasPath(object, path, hasFunc) {
+  path = castPath(path, object)
+
+  let index = -1
+  let length = path.length
+  let result = false
+  let key
+
+  while (++index < length) {
+    const segment = path[index]
+    if (segment instanceof PathSlice && isArrayLike(object)) {
+      result = true
+      object = segment.apply(object)
+      continue
+    }
+    const resolved = resolveKey(object, segment)
+    key = resolved === undefined ? undefined : toKey(resolved)
+    if (!(result = key !== undefined && object != null && hasFunc(object, key))) {
+      break
+    }
+    object = object[key]
+  }
+  if (result || ++index != length) {
+    return result
+  }
+  length = object == null ? 0 : object.length
+  return !!length && isLength(length) && isIndex(key, length) &&
+    (Array.isArray(object) || isArguments(object))
+}
+
+export default hasPath
@@ -0,0 +1,29 @@
+import jsonEncoder from './jsonEncoder.js'
+
+/**
+ * Sets the entries of `snapshot`, created by `exportCache`, on `cache`.
+ * Expired entries are skipped, and the expiry time of the rest is passed as
+ * the third argument of `cache.set`. If `cache` can't store expiry times,
+ * entries that have one are skipped so they don't outlive it.
+ *
+ * @private
+ * @param {Object} cache The cache to import into.
+ * @param {Object} snapshot The snapshot to import.
+ * @param {Object} [encoder=jsonEncoder] The `encode` and `decode` functions.
+ * @param {boolean} [expiring] Specify whether `cache` stores expiry times.
+ * @returns {number} Returns the number of entries imported.
+ */
+function importCache(cache, snapshot, encoder = jsonEncoder, expiring) {
+  const now = Date.now()
+  let result = 0
+
+  for (const [key, value, expires] of snapshot.entries) {
+    if (expires == null || (expiring && expires > now)) {
+      cache.set(encoder.decode(key), encoder.decode(value), expires == null ? undefined : expires)
+      result++
+    }
+  }
+  return result
+}
+
+export default importCache
@@ -0,0 +1,27 @@
+import isObject from '../isObject.js'
+import isPlainObject from '../isPlainObject.js'
+import toKey from './toKey.js'
+
+/**
+ * Checks if every existing container along `path` of `object` is an array
+ * or plain object, which `copyContainer` can copy.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {Array} path The property path to check.
+ * @returns {boolean} Returns `true` if the containers can be copied, else `false`.
+ */
+function isCopyablePath(object, path) {
+  let index = -1
+  const length = path.length
+
+  while (++index < length && isObject(object)) {
+    if (!Array.isArray(object) && !isPlainObject(object)) {
+      return false
+    }
+    object = object[toKey(path[index])]
+  }
+  return true
+}
+
+export default isCopyablePath
@@ -0,0 +1,16 @@
+/** Used to detect `~` characters that don't start an escape sequence. */
+const reInvalidEscape = /~(?![01])/
+
+/**
+ * Checks if `value` is a non-empty JSON Pointer string, which starts with
+ * `/` and escapes `~` as `~0`.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is a JSON Pointer, else `false`.
+ */
+function isJsonPointer(value) {
+  return typeof value === 'string' && value.charAt(0) === '/' && !reInvalidEscape.test(value)
+}
+
+export default isJsonPointer
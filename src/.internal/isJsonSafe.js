@@ -0,0 +1,38 @@
+import isPlainObject from '../isPlainObject.js'
+
+/**
+ * Checks if `value` survives a `JSON.stringify` and `JSON.parse` round trip
+ * unchanged. Only `null`, booleans, strings, finite numbers, and acyclic
+ * arrays and plain objects of them do.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {Set} [stack] Tracks traversed containers.
+ * @returns {boolean} Returns `true` if `value` is JSON safe, else `false`.
+ */
+function isJsonSafe(value, stack) {
+  const type = typeof value
+  if (value === null || type === 'boolean' || type === 'string') {
+    return true
+  }
+  if (type === 'number') {
+    return isFinite(value)
+  }
+  const isArr = Array.isArray(value)
+  if (!isArr && !isPlainObject(value)) {
+    return false
+  }
+  stack || (stack = new Set)
+  if (stack.has(value)) {
+    return false
+  }
+  stack.add(value)
+  const values = isArr ? Array.from(value) : Object.values(value)
+  const result = values.every((item) => isJsonSafe(item, stack)) &&
+    (isArr || Object.getOwnPropertySymbols(value).length === 0)
+
+  stack.delete(value)
+  return result
+}
+
+export default isJsonSafe
@@ -0,0 +1,24 @@
+import toKey from './toKey.js'
+
+/**
+ * Checks if `path` and `other` are related, that is, if either one is a
+ * prefix of the other.
+ *
+ * @private
+ * @param {Array} path The path to compare.
+ * @param {Array} other The other path to compare.
+ * @returns {boolean} Returns `true` if the paths are related, else `false`.
+ */
+function isRelatedPath(path, other) {
+  let index = -1
+  const length = Math.min(path.length, other.length)
+
+  while (++index < length) {
+    if (toKey(path[index]) !== toKey(other[index])) {
+      return false
+    }
+  }
+  return true
+}
+
+export default isRelatedPath
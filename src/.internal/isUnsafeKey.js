@@ -0,0 +1,18 @@
+/**
+ * Checks if reading `key` of `object` could return a shared prototype or
+ * constructor. This is the case for `__proto__` and for a `constructor`
+ * whose value is a function.
+ *
+ * @private
+ * @param {*} object The object to query.
+ * @param {string|symbol} key The key of the property to check.
+ * @returns {boolean} Returns `true` if `key` is unsafe, else `false`.
+ */
+function isUnsafeKey(object, key) {
+  if (key === '__proto__') {
+    return true
+  }
+  return key === 'constructor' && object != null && typeof object[key] === 'function'
+}
+
+export default isUnsafeKey
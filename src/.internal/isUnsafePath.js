@@ -0,0 +1,35 @@
+import toKey from './toKey.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Checks if resolving `path` against `object` could reach a shared
+ * prototype or constructor. This is the case for a `__proto__` segment, a
+ * `constructor` segment followed by `prototype` or followed by any segment
+ * while inherited, and a `prototype` segment of a function.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {Array} path The property path to check.
+ * @returns {boolean} Returns `true` if `path` is unsafe, else `false`.
+ */
+function isUnsafePath(object, path) {
+  let index = -1
+  const length = path.length
+
+  while (++index < length) {
+    const key = toKey(path[index])
+    if (key === '__proto__' ||
+        (key === 'constructor' && index + 1 < length &&
+          (toKey(path[index + 1]) === 'prototype' ||
+            (object != null && !hasOwnProperty.call(Object(object), key)))) ||
+        (key === 'prototype' && typeof object === 'function')) {
+      return true
+    }
+    object = object == null ? undefined : object[key]
+  }
+  return false
+}
+
+export default isUnsafePath
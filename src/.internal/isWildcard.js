@@ -0,0 +1,14 @@
+import PathWildcard from './PathWildcard.js'
+
+/**
+ * Checks if the path segment `value` is a `*` or `**` wildcard.
+ *
+ * @private
+ * @param {*} value The path segment to check.
+ * @returns {boolean} Returns `true` if `value` is a wildcard, else `false`.
+ */
+function isWildcard(value) {
+  return value instanceof PathWildcard
+}
+
+export default isWildcard
@@ -0,0 +1,15 @@
+import isJsonSafe from './isJsonSafe.js'
+
+/**
+ * The default encoder of memoize cache snapshots. It keeps JSON safe keys
+ * and values as they are and skips the rest.
+ *
+ * @private
+ * @type {Object}
+ */
+const jsonEncoder = {
+  'encode': (value) => (isJsonSafe(value) ? value : undefined),
+  'decode': (value) => value
+}
+
+export default jsonEncoder
@@ -0,0 +1,12 @@
+/**
+ * The tagged entries of memoized functions, as a map of tags to sets of weak
+ * references to the `{ cache, key, tags }` records of `TagCache` instances.
+ * Only weak references are held, so memoized functions and their keys may
+ * still be garbage collected.
+ *
+ * @private
+ * @type {Map}
+ */
+const memoizeTags = new Map
+
+export default memoizeTags
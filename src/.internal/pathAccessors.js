@@ -0,0 +1,13 @@
+/**
+ * The registered `[Ctor, getter]` pairs used to read keys of container
+ * instances during path resolution. Later entries take precedence.
+ *
+ * @private
+ * @type {Array}
+ */
+const pathAccessors = [
+  [WeakMap, (weakMap, key) => weakMap.get(key)],
+  [Map, (map, key) => map.get(key)]
+]
+
+export default pathAccessors
@@ -0,0 +1,36 @@
+import PathSlice from './PathSlice.js'
+import PathWildcard from './PathWildcard.js'
+import isArrayLike from '../isArrayLike.js'
+import pathAccessors from './pathAccessors.js'
+
+/**
+ * Resolves the path segment `key` of `object` to the segment of a single
+ * property. Negative integer keys of array-like values count from the end,
+ * while instances of registered containers, such as `Map`, receive negative
+ * numbers as is.
+ *
+ * @private
+ * @param {*} object The object to query.
+ * @param {*} key The path segment to resolve.
+ * @returns {*} Returns the resolved segment, or `undefined` if `key` is a
+ *  `PathSlice`, a `PathWildcard`, or a negative number that isn't an index
+ *  in range of an array-like `object`, including when `object` is missing.
+ */
+function resolveKey(object, key) {
+  if (key instanceof PathSlice || key instanceof PathWildcard) {
+    return undefined
+  }
+  if (typeof key === 'number' && key < 0) {
+    if (pathAccessors.some(([Ctor]) => object instanceof Ctor)) {
+      return key
+    }
+    if (!isArrayLike(object) || key % 1 != 0) {
+      return undefined
+    }
+    const index = object.length + key
+    return index < 0 ? undefined : index
+  }
+  return key
+}
+
+export default resolveKey
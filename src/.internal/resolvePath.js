@@ -0,0 +1,30 @@
+import baseGetKey from './baseGetKey.js'
+import resolveKey from './resolveKey.js'
+
+/**
+ * Resolves each segment of `path` against `object` with `resolveKey`, so the
+ * result addresses single properties, as writers require.
+ *
+ * @private
+ * @param {Object} object The object to query.
+ * @param {Array} path The path to resolve.
+ * @returns {Array|undefined} Returns the resolved path, or `undefined` if a
+ *  segment can't be resolved.
+ */
+function resolvePath(object, path) {
+  const length = path.length
+  const result = Array(length)
+  let index = -1
+
+  while (++index < length) {
+    const key = resolveKey(object, path[index])
+    if (key === undefined) {
+      return undefined
+    }
+    result[index] = key
+    object = object == null ? undefined : baseGetKey(object, key)
+  }
+  return result
+}
+
+export default resolvePath
@@ -0,0 +1,20 @@
+/**
+ * Invokes the `tags` option of a memoized function with `args` and checks
+ * that it returns an array, so a string isn't split into characters and
+ * nothing is cached for an entry whose tags are invalid.
+ *
+ * @private
+ * @param {Function} tags The function to resolve the tags of an entry.
+ * @param {Array} args The arguments of the call.
+ * @returns {Array} Returns the tags.
+ * @throws {TypeError} Throws if `tags` doesn't return an array.
+ */
+function resolveTags(tags, args) {
+  const result = tags(args)
+  if (!Array.isArray(result)) {
+    throw new TypeError('Expected `tags` to return an array')
+  }
+  return result
+}
+
+export default resolveTags
@@ -1,6 +1,11 @@
+import PathSlice from './PathSlice.js'
+import PathWildcard from './PathWildcard.js'
+import isIndex from './isIndex.js'
 import memoizeCapped from './memoizeCapped.js'
 
 const charCodeOfDot = '.'.charCodeAt(0)
+const reIsNegativeIndex = /^-[1-9]\d*$/
+const reIsSlice = /^(-?\d+)?\s*:\s*(-?\d+)?$/
 const reEscapeChar = /\\(\\)?/g
 const rePropName = RegExp(
   // Match anything that isn't a dot or bracket.
@@ -17,7 +22,11 @@ const rePropName = RegExp(
   , 'g')
 
 /**
- * Converts `string` to a property path array.
+ * Converts `string` to a property path array. Unquoted bracketed indexes,
+ * such as `[0]` or `[-1]`, convert to numbers and unquoted bracketed ranges,
+ * such as `[2:5]`, convert to `PathSlice` segments. Unquoted `*` and `**`
+ * segments convert to `PathWildcard` segments, while all other keys remain
+ * strings.
  *
  * @private
  * @param {string} string The string to convert.
@@ -30,11 +39,27 @@ const stringToPath = memoizeCapped((string) => {
   }
   string.replace(rePropName, (match, expression, quote, subString) => {
     let key = match
-    if (quote) {
+    if (key === '*' || key === '**') {
+      key = key === '*' ? PathWildcard.ANY : PathWildcard.DEEP
+    }
+    else if (quote) {
       key = subString.replace(reEscapeChar, '$1')
     }
     else if (expression) {
       key = expression.trim()
+      const range = reIsSlice.exec(key)
+      if (isIndex(key) || (reIsNegativeIndex.test(key) && isIndex(key.slice(1)))) {
+        key = +key
+      }
+      else if (key === '*' || key === '**') {
+        key = key === '*' ? PathWildcard.ANY : PathWildcard.DEEP
+      }
+      else if (range) {
+        key = new PathSlice(
+          range[1] === undefined ? undefined : +range[1],
+          range[2] === undefined ? undefined : +range[2]
+        )
+      }
     }
     result.push(key)
   })
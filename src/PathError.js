@@ -0,0 +1,56 @@
+import formatPath from './.internal/formatPath.js'
+
+/**
+ * Gets a short description of the type of `value` for error messages.
+ *
+ * @private
+ * @param {*} value The value to describe.
+ * @returns {string} Returns `'null'`, `'array'`, or the `typeof` result.
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null'
+  }
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+class PathError extends Error {
+
+  /**
+   * Creates an error describing where the resolution of `path` failed.
+   *
+   * The error exposes `path`, the full property path array, `resolvedPath`,
+   * the segments that resolved, `resolvedSegment`, the last of those (or
+   * `undefined` if none did), `missingSegment`, the segment that couldn't be
+   * resolved, and `foundType`, the type of the value found at `resolvedPath`.
+   *
+   * @since 5.0.0
+   * @category Util
+   * @constructor
+   * @param {Array} path The property path array that failed to resolve.
+   * @param {number} index The index of the segment that couldn't be resolved.
+   * @param {*} found The value found at the segments before `index`.
+   * @example
+   *
+   * const error = new PathError(['a', 'b', 'c'], 2, 5)
+   *
+   * error.message
+   * // => 'Cannot resolve "c" of "a.b.c": found number at "a.b"'
+   */
+  constructor(path, index, found) {
+    const resolvedPath = path.slice(0, index)
+    const missingSegment = path[index]
+    const foundType = describeType(found)
+    const at = resolvedPath.length ? `"${formatPath(resolvedPath)}"` : 'the root'
+
+    super(`Cannot resolve "${String(missingSegment)}" of "${formatPath(path)}": found ${foundType} at ${at}`)
+    this.name = 'PathError'
+    this.path = path
+    this.resolvedPath = resolvedPath
+    this.resolvedSegment = index ? path[index - 1] : undefined
+    this.missingSegment = missingSegment
+    this.foundType = foundType
+  }
+}
+
+export default PathError
@@ -0,0 +1,209 @@
+import baseClone from './.internal/baseClone.js'
+import baseIsEqual from './.internal/baseIsEqual.js'
+import baseSet from './.internal/baseSet.js'
+import baseUnset from './.internal/baseUnset.js'
+import isIndex from './.internal/isIndex.js'
+import isObject from './isObject.js'
+import isUnsafePath from './.internal/isUnsafePath.js'
+import last from './last.js'
+import pathToPointer from './pathToPointer.js'
+import pointerToPath from './pointerToPath.js'
+
+/** Used to compose bitmasks for cloning. */
+const CLONE_DEEP_FLAG = 1
+const CLONE_SYMBOLS_FLAG = 4
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Applies the [JSON Patch](https://tools.ietf.org/html/rfc6902) operations
+ * `ops` to `doc`. The `add`, `remove`, `replace`, `move`, `copy`, and `test`
+ * operations are supported. The patch is atomic: if any operation fails,
+ * including a `test` whose value doesn't match, every operation already
+ * applied is rolled back before the error is thrown. Operations whose paths
+ * could reach a shared prototype, such as `/__proto__/x`, are refused, and
+ * paths are resolved only through own properties and array indexes.
+ *
+ * **Note:** This method mutates `doc`. Operations targeting the root path
+ * `''` replace the document, so always use the returned value.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {*} doc The document to patch.
+ * @param {Object[]} ops The patch operations to apply.
+ * @returns {*} Returns the patched document.
+ * @throws {Error} Throws if an operation fails, after rolling back `doc`.
+ * @see createPatch
+ * @example
+ *
+ * const doc = { 'items': [{ 'name': 'a' }] }
+ *
+ * applyPatch(doc, [
+ *   { 'op': 'replace', 'path': '/items/0/name', 'value': 'b' },
+ *   { 'op': 'add', 'path': '/items/-', 'value': { 'name': 'c' } }
+ * ])
+ * // => { 'items': [{ 'name': 'b' }, { 'name': 'c' }] }
+ *
+ * applyPatch(doc, [
+ *   { 'op': 'remove', 'path': '/items/0' },
+ *   { 'op': 'test', 'path': '/items/0/name', 'value': 'x' }
+ * ])
+ * // => throws, and `doc` still has both items
+ */
+function applyPatch(doc, ops) {
+  const undoLog = []
+  let root = doc
+
+  const fail = (message, op) => {
+    const error = new Error(`JSON Patch ${message}`)
+    error.operation = op
+    throw error
+  }
+
+  const hasToken = (object, key) => isObject(object) && (Array.isArray(object)
+    ? isIndex(key, object.length)
+    : hasOwnProperty.call(object, key))
+
+  const parentOf = (tokens) => {
+    let object = root
+    for (let index = 0; index < tokens.length - 1; index++) {
+      if (!hasToken(object, tokens[index])) {
+        return undefined
+      }
+      object = object[tokens[index]]
+    }
+    return object
+  }
+
+  const lookup = (tokens, op) => {
+    if (!tokens.length) {
+      return { 'exists': true, 'value': root }
+    }
+    const container = parentOf(tokens)
+    const key = last(tokens)
+    const exists = hasToken(container, key)
+
+    if (!exists && op) {
+      fail(`${op.op} target ${pathToPointer(tokens)} does not exist`, op)
+    }
+    return { container, key, exists, 'value': exists ? container[key] : undefined }
+  }
+
+  const add = (tokens, value, op) => {
+    if (!tokens.length) {
+      const oldRoot = root
+      root = value
+      undoLog.push(() => { root = oldRoot })
+      return
+    }
+    const container = parentOf(tokens)
+    let key = last(tokens)
+
+    if (Array.isArray(container)) {
+      const { length } = container
+      if (key === '-') {
+        key = String(length)
+      }
+      if (!isIndex(key, length + 1)) {
+        fail(`add index ${op.path} is out of bounds`, op)
+      }
+      const index = +key
+      container.splice(index, 0, value)
+      undoLog.push(() => container.splice(index, 1))
+    }
+    else if (isObject(container)) {
+      const exists = hasOwnProperty.call(container, key)
+      const oldValue = container[key]
+      baseSet(container, [key], value)
+      undoLog.push(() => exists ? baseSet(container, [key], oldValue) : baseUnset(container, [key]))
+    }
+    else {
+      fail(`add parent of ${op.path} does not exist`, op)
+    }
+  }
+
+  const replace = (tokens, value, op) => {
+    const { container, key, 'value': oldValue } = lookup(tokens, op)
+    if (!tokens.length) {
+      add(tokens, value, op)
+    } else if (Array.isArray(container)) {
+      container[key] = value
+      undoLog.push(() => { container[key] = oldValue })
+    } else {
+      baseSet(container, [key], value)
+      undoLog.push(() => baseSet(container, [key], oldValue))
+    }
+  }
+
+  const remove = (tokens, op) => {
+    if (!tokens.length) {
+      fail('cannot remove the document root', op)
+    }
+    const { container, key, value } = lookup(tokens, op)
+    if (Array.isArray(container)) {
+      const index = +key
+      container.splice(index, 1)
+      undoLog.push(() => container.splice(index, 0, value))
+    } else {
+      baseUnset(container, [key])
+      undoLog.push(() => baseSet(container, [key], value))
+    }
+    return value
+  }
+
+  try {
+    ops.forEach((op) => {
+      const tokens = pointerToPath(op.path)
+      if (isUnsafePath(root, tokens) || (op.from != null && isUnsafePath(root, pointerToPath(op.from)))) {
+        fail(`${op.op} path ${op.path} could reach a shared prototype`, op)
+      }
+
+      switch (op.op) {
+        case 'add':
+          add(tokens, op.value, op)
+          break
+        case 'remove':
+          remove(tokens, op)
+          break
+        case 'replace':
+          replace(tokens, op.value, op)
+          break
+        case 'move': {
+          const from = pointerToPath(op.from)
+          if (from.length < tokens.length && from.every((token, index) => token === tokens[index])) {
+            fail(`cannot move ${op.from} into its own child ${op.path}`, op)
+          }
+          if (op.from === op.path) {
+            lookup(from, op)
+          } else {
+            add(tokens, remove(from, op), op)
+          }
+          break
+        }
+        case 'copy': {
+          const { value } = lookup(pointerToPath(op.from), op)
+          add(tokens, baseClone(value, CLONE_DEEP_FLAG | CLONE_SYMBOLS_FLAG), op)
+          break
+        }
+        case 'test': {
+          const { exists, value } = lookup(tokens)
+          if (!exists || !baseIsEqual(op.value, value)) {
+            fail(`test failed at ${op.path}`, op)
+          }
+          break
+        }
+        default:
+          fail(`operation ${op.op} is not supported`, op)
+      }
+    })
+  } catch (error) {
+    while (undoLog.length) {
+      undoLog.pop()()
+    }
+    throw error
+  }
+  return root
+}
+
+export default applyPatch
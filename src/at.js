@@ -2,7 +2,9 @@ import baseAt from './.internal/baseAt.js'
 import baseFlatten from './.internal/baseFlatten.js'
 
 /**
- * Creates an array of values corresponding to `paths` of `object`.
+ * Creates an array of values corresponding to `paths` of `object`. Paths
+ * containing `*` or `**` wildcard segments resolve to an array of every
+ * matched value, as with `get`.
  *
  * @since 1.0.0
  * @category Object
@@ -15,6 +17,12 @@ import baseFlatten from './.internal/baseFlatten.js'
  *
  * at(object, ['a[0].b.c', 'a[1]'])
  * // => [3, 4]
+ *
+ * at(object, ['a[*].b.c', 'a[1]'])
+ * // => [[3], 4]
+ *
+ * at(object, ['a[-1]', 'a[0:1]'])
+ * // => [4, [{ 'b': { 'c': 3 } }]]
  */
 const at = (object, ...paths) => baseAt(object, baseFlatten(paths, 1))
 
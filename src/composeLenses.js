@@ -0,0 +1,34 @@
+import createLens from './.internal/createLens.js'
+
+/** Used as the lens focused on the whole value. */
+const identityLens = createLens((object) => object, (object, value) => value)
+
+/**
+ * Creates a lens that focuses through each of `lenses` in turn, from the
+ * outermost to the innermost. With no lenses, the whole value is focused.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {...Object} [lenses] The lenses to compose.
+ * @returns {Object} Returns the new lens.
+ * @see lens
+ * @example
+ *
+ * const user = lens('user')
+ * const city = lens('address.city')
+ * const userCity = composeLenses(user, city)
+ *
+ * userCity.view({ 'user': { 'address': { 'city': 'Lahti' } } })
+ * // => 'Lahti'
+ *
+ * userCity.set({}, 'Espoo')
+ * // => { 'user': { 'address': { 'city': 'Espoo' } } }
+ */
+function composeLenses(...lenses) {
+  return lenses.reduce((outer, inner) => createLens(
+    (object) => inner.view(outer.view(object)),
+    (object, value) => outer.set(object, inner.set(outer.view(object), value))
+  ), identityLens)
+}
+
+export default composeLenses
@@ -0,0 +1,215 @@
+import baseGet from './.internal/baseGet.js'
+import baseSet from './.internal/baseSet.js'
+import baseUnset from './.internal/baseUnset.js'
+import castPath from './.internal/castPath.js'
+import isObject from './isObject.js'
+import isUnsafePath from './.internal/isUnsafePath.js'
+import resolvePath from './.internal/resolvePath.js'
+import toKey from './.internal/toKey.js'
+
+/** Used as the default maximum number of undoable entries. */
+const DEFAULT_LIMIT = 100
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Applies the `{ path, existed, value }` operation `op` to `object`, setting
+ * `value` at `path` if `existed` is `true` or unsetting `path` otherwise.
+ *
+ * @private
+ * @param {Object} object The object to modify.
+ * @param {Object} op The operation to apply.
+ */
+function applyOp(object, op) {
+  if (op.existed) {
+    baseSet(object, op.path, op.value)
+  } else {
+    baseUnset(object, op.path)
+  }
+}
+
+/**
+ * Creates the operations that undo writing to `path` of `object`. If a
+ * container on the way to `path` is missing or isn't an object, the write
+ * replaces it, so it's restored instead of the value at `path`.
+ *
+ * @private
+ * @param {Object} object The object to inspect.
+ * @param {Array} path The path about to be written.
+ * @returns {Object[]} Returns the operations to apply in order.
+ */
+function createInverse(object, path) {
+  const lastIndex = path.length - 1
+  let nested = object
+  let index = -1
+
+  while (++index < lastIndex) {
+    const child = nested[toKey(path[index])]
+    if (!isObject(child)) {
+      break
+    }
+    nested = child
+  }
+  const key = toKey(path[index])
+  const result = [{
+    'path': path.slice(0, index + 1),
+    'existed': hasOwnProperty.call(nested, key),
+    'value': nested[key]
+  }]
+  if (Array.isArray(nested) && !result[0].existed) {
+    // Unsetting an index doesn't shrink the array, so restore its length.
+    result.push({ 'path': path.slice(0, index).concat(['length']), 'existed': true, 'value': nested.length })
+  }
+  return result
+}
+
+/**
+ * Creates an undo history for `object`. Writes made with the history's
+ * `set(path, value)`, `update(path, updater)`, and `unset(path)` are applied
+ * to `object` as by `set`, `update`, and `unset`, while the operations that
+ * invert them are recorded, so no snapshots of `object` are taken.
+ *
+ * The history also provides `get(path)` to read the value at `path`, or
+ * `object` when `path` is omitted, `undo()` and `redo()` which return `true`
+ * if there was an entry to undo or redo, `canUndo()` and `canRedo()`, and
+ * `transaction(func)` which invokes `func` and records every write it makes
+ * as a single entry. If `func` throws, its writes are undone before the
+ * error is rethrown. Making a new entry discards the redo entries, and the
+ * oldest entries are discarded beyond `options.limit`.
+ *
+ * **Note:** This method mutates `object`.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to modify.
+ * @param {Object} [options={}] The options object.
+ * @param {number} [options.limit=100] The maximum number of undoable entries.
+ * @returns {Object} Returns the new history.
+ * @see set, unset, update
+ * @example
+ *
+ * const doc = { 'title': 'draft', 'tags': [] }
+ * const history = createHistory(doc)
+ *
+ * history.set('title', 'final')
+ * history.transaction(() => {
+ *   history.set('tags[0]', 'a')
+ *   history.set('meta.author', 'fred')
+ * })
+ *
+ * history.undo()
+ * doc
+ * // => { 'title': 'final', 'tags': [] }
+ *
+ * history.undo()
+ * history.redo()
+ * doc.title
+ * // => 'final'
+ */
+function createHistory(object, options) {
+  const { limit = DEFAULT_LIMIT } = options || {}
+  const undoStack = []
+  let redoStack = []
+  let group = null
+
+  const record = (path, value, existed) => {
+    path = resolvePath(object, castPath(path, object))
+    if (!path || !path.length || isUnsafePath(object, path)) {
+      return
+    }
+    const inverse = createInverse(object, path)
+    if (!existed && (inverse[0].path.length < path.length || !inverse[0].existed)) {
+      // Unsetting a missing path changes nothing, so there's nothing to undo.
+      return
+    }
+    const step = { 'forward': { path, existed, value }, inverse }
+    applyOp(object, step.forward)
+
+    if (group) {
+      group.push(step)
+    } else {
+      push([step])
+    }
+  }
+
+  const push = (steps) => {
+    undoStack.push(steps)
+    if (undoStack.length > limit) {
+      undoStack.splice(0, undoStack.length - limit)
+    }
+    redoStack = []
+  }
+
+  const revert = (steps) => {
+    for (let index = steps.length - 1; index >= 0; index--) {
+      steps[index].inverse.forEach((op) => applyOp(object, op))
+    }
+  }
+
+  return {
+    get(path) {
+      return path === undefined ? object : baseGet(object, path)
+    },
+    set(path, value) {
+      record(path, value, true)
+    },
+    update(path, updater) {
+      if (typeof updater !== 'function') {
+        throw new TypeError('Expected a function')
+      }
+      record(path, updater(baseGet(object, path)), true)
+    },
+    unset(path) {
+      record(path, undefined, false)
+    },
+    undo() {
+      const steps = undoStack.pop()
+      if (!steps) {
+        return false
+      }
+      revert(steps)
+      redoStack.push(steps)
+      return true
+    },
+    redo() {
+      const steps = redoStack.pop()
+      if (!steps) {
+        return false
+      }
+      steps.forEach((step) => applyOp(object, step.forward))
+      undoStack.push(steps)
+      return true
+    },
+    canUndo() {
+      return undoStack.length > 0
+    },
+    canRedo() {
+      return redoStack.length > 0
+    },
+    transaction(func) {
+      if (typeof func !== 'function') {
+        throw new TypeError('Expected a function')
+      }
+      if (group) {
+        return func()
+      }
+      const steps = group = []
+      let result
+      try {
+        result = func()
+      } catch (error) {
+        group = null
+        revert(steps)
+        throw error
+      }
+      group = null
+      if (steps.length) {
+        push(steps)
+      }
+      return result
+    }
+  }
+}
+
+export default createHistory
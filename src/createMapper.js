@@ -0,0 +1,130 @@
+import baseEachLeaf from './.internal/baseEachLeaf.js'
+import baseGet from './.internal/baseGet.js'
+import baseSet from './.internal/baseSet.js'
+import castPath from './.internal/castPath.js'
+import formatPath from './.internal/formatPath.js'
+import toKey from './.internal/toKey.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Checks if `path` starts with every segment of `prefix`.
+ *
+ * @private
+ * @param {Array} path The path to inspect.
+ * @param {Array} prefix The path prefix to check for.
+ * @returns {boolean} Returns `true` if `prefix` is a prefix of `path`, else `false`.
+ */
+function isPathPrefix(path, prefix) {
+  return prefix.length <= path.length &&
+    prefix.every((segment, index) => toKey(segment) === toKey(path[index]))
+}
+
+/**
+ * Creates a mapper function from normalized mapping rules.
+ *
+ * @private
+ * @param {Object[]} rules The `{ from, to, transform, inverse, default }` rules.
+ * @returns {Function} Returns the new mapper function.
+ */
+function baseCreateMapper(rules) {
+  const mapper = (source) => {
+    const result = {}
+    rules.forEach((rule) => {
+      let value = source == null ? undefined : baseGet(source, rule.from)
+      if (value === undefined) {
+        value = rule.default
+      } else if (rule.transform) {
+        value = rule.transform(value, source)
+      }
+      if (value !== undefined) {
+        baseSet(result, rule.to, value)
+      }
+    })
+    return result
+  }
+
+  mapper.invert = () => baseCreateMapper(rules.map((rule) => {
+    if (rule.transform && !rule.inverse) {
+      throw new TypeError(`Cannot invert the mapping of "${formatPath(rule.from)}" without an inverse`)
+    }
+    return { 'from': rule.to, 'to': rule.from, 'transform': rule.inverse, 'inverse': rule.transform }
+  }))
+
+  mapper.unmapped = (source) => {
+    const result = []
+    baseEachLeaf(source, (value, path) => {
+      if (!rules.some((rule) => isPathPrefix(path, rule.from))) {
+        result.push(formatPath(path))
+      }
+    })
+    return result
+  }
+
+  return mapper
+}
+
+/**
+ * Creates a function that maps a source object to a new target object as
+ * described by `spec`. Each key of `spec` is a source path and each value is
+ * either the target path or an object with a `to` target path and optional
+ * `transform`, `inverse`, and `default` properties. The `transform` is
+ * invoked with two arguments: (value, source). The `default` is used when
+ * the source value is `undefined`, and target paths are skipped when there's
+ * no value to set.
+ *
+ * The mapper has an `invert` method that creates the mapper back from the
+ * target schema, using `inverse` in place of `transform`, and an `unmapped`
+ * method that lists the leaf paths of a source object that no rule reads.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} spec The mapping rules keyed by source path.
+ * @returns {Function} Returns the new mapper function.
+ * @throws {TypeError} Throws if a rule has no target path.
+ * @throws {TypeError} Throws from `invert` if a rule has a `transform`
+ *  without an `inverse`.
+ * @see get, project, set
+ * @example
+ *
+ * const toV2 = createMapper({
+ *   'user.first_name': 'name.first',
+ *   'user.age': { 'to': 'age', 'transform': Number, 'inverse': String, 'default': 0 }
+ * })
+ *
+ * toV2({ 'user': { 'first_name': 'fred', 'age': '40', 'email': 'f@x' } })
+ * // => { 'name': { 'first': 'fred' }, 'age': 40 }
+ *
+ * toV2.invert()({ 'name': { 'first': 'fred' }, 'age': 40 })
+ * // => { 'user': { 'first_name': 'fred', 'age': '40' } }
+ *
+ * toV2.unmapped({ 'user': { 'first_name': 'fred', 'email': 'f@x' } })
+ * // => ['user.email']
+ */
+function createMapper(spec) {
+  const rules = Object.keys(spec == null ? {} : spec).map((from) => {
+    const target = spec[from]
+    const options = (target != null && typeof target === 'object' && !Array.isArray(target))
+      ? target
+      : { 'to': target }
+
+    if ((options.transform != null && typeof options.transform !== 'function') ||
+        (options.inverse != null && typeof options.inverse !== 'function')) {
+      throw new TypeError('Expected a function')
+    }
+    if (options.to == null) {
+      throw new TypeError(`Expected a target path for "${from}"`)
+    }
+    return {
+      'from': castPath(from),
+      'to': castPath(options.to),
+      'transform': options.transform,
+      'inverse': options.inverse,
+      'default': hasOwnProperty.call(options, 'default') ? options.default : undefined
+    }
+  })
+  return baseCreateMapper(rules)
+}
+
+export default createMapper
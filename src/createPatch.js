@@ -0,0 +1,83 @@
+import baseClone from './.internal/baseClone.js'
+import baseIsEqual from './.internal/baseIsEqual.js'
+import isPlainObject from './isPlainObject.js'
+import pathToPointer from './pathToPointer.js'
+
+/** Used to compose bitmasks for cloning. */
+const CLONE_DEEP_FLAG = 1
+const CLONE_SYMBOLS_FLAG = 4
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Creates a [JSON Patch](https://tools.ietf.org/html/rfc6902) that
+ * transforms `object` into `other` when applied with `applyPatch`. Arrays
+ * are compared index by index, so the patch uses `add`, `remove`, and
+ * `replace` operations only. Only arrays and plain objects are compared by
+ * their contents; other unequal values, such as dates, are replaced whole.
+ * Values in the patch are deep clones of those in `other`.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {*} object The source value.
+ * @param {*} other The target value.
+ * @returns {Object[]} Returns the patch operations.
+ * @see applyPatch
+ * @example
+ *
+ * createPatch({ 'a': 1, 'b': [1] }, { 'a': 2, 'b': [1, 2], 'c': 3 })
+ * // => [
+ * //   { 'op': 'replace', 'path': '/a', 'value': 2 },
+ * //   { 'op': 'add', 'path': '/b/1', 'value': 2 },
+ * //   { 'op': 'add', 'path': '/c', 'value': 3 }
+ * // ]
+ */
+function createPatch(object, other) {
+  const result = []
+  const clone = (value) => baseClone(value, CLONE_DEEP_FLAG | CLONE_SYMBOLS_FLAG)
+
+  const diff = (value, othValue, path) => {
+    if (baseIsEqual(value, othValue)) {
+      return
+    }
+    const isArr = Array.isArray(value)
+    if (isArr && Array.isArray(othValue)) {
+      const { length } = value
+      const othLength = othValue.length
+      let index = -1
+
+      while (++index < length && index < othLength) {
+        diff(value[index], othValue[index], path.concat([index]))
+      }
+      for (index = length; index < othLength; index++) {
+        result.push({ 'op': 'add', 'path': pathToPointer(path.concat([index])), 'value': clone(othValue[index]) })
+      }
+      for (index = length - 1; index >= othLength; index--) {
+        result.push({ 'op': 'remove', 'path': pathToPointer(path.concat([index])) })
+      }
+    }
+    else if (isPlainObject(value) && isPlainObject(othValue)) {
+      Object.keys(value).forEach((key) => {
+        if (!hasOwnProperty.call(othValue, key)) {
+          result.push({ 'op': 'remove', 'path': pathToPointer(path.concat([key])) })
+        }
+      })
+      Object.keys(othValue).forEach((key) => {
+        if (hasOwnProperty.call(value, key)) {
+          diff(value[key], othValue[key], path.concat([key]))
+        } else {
+          result.push({ 'op': 'add', 'path': pathToPointer(path.concat([key])), 'value': clone(othValue[key]) })
+        }
+      })
+    }
+    else {
+      result.push({ 'op': 'replace', 'path': pathToPointer(path), 'value': clone(othValue) })
+    }
+  }
+
+  diff(object, other, [])
+  return result
+}
+
+export default createPatch
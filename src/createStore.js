@@ -0,0 +1,90 @@
+import baseGet from './.internal/baseGet.js'
+import baseSet from './.internal/baseSet.js'
+import castPath from './.internal/castPath.js'
+import eq from './eq.js'
+import isRelatedPath from './.internal/isRelatedPath.js'
+import isUnsafePath from './.internal/isUnsafePath.js'
+import resolvePath from './.internal/resolvePath.js'
+
+/**
+ * Creates a store that holds `state` and notifies path subscribers of
+ * writes. The store provides `get(path)` to read the value at `path`, or the
+ * whole state when `path` is omitted, `set(path, value)` to write `value` at
+ * `path` as by `set`, and `subscribe(path, listener)` which returns a
+ * function to unsubscribe. Use an empty array `path` to subscribe to every
+ * write.
+ *
+ * Writes are batched per microtask. Each listener whose path is a prefix or
+ * an extension of a changed path is then invoked once with two arguments:
+ * (value, changedPaths), where `value` is the current value at its path and
+ * `changedPaths` are the related paths written since the last batch. Writes
+ * that `set` ignores or that don't change the value notify no one. An error
+ * thrown by a listener doesn't keep the others from being notified and is
+ * rethrown asynchronously.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} [state={}] The initial state.
+ * @returns {Object} Returns the new store.
+ * @see set
+ * @example
+ *
+ * const store = createStore({ 'user': { 'settings': { 'theme': 'light' } } })
+ *
+ * store.subscribe('user.settings.theme', theme => console.log(theme))
+ * store.subscribe('user.name', name => console.log(name))
+ *
+ * store.set('user.settings', { 'theme': 'dark' })
+ * store.set('user.settings.theme', 'dim')
+ * // => Logs 'dim' once, after the current microtask.
+ */
+function createStore(state) {
+  state = state == null ? {} : state
+
+  const listeners = new Set
+  let pending = []
+
+  const flush = () => {
+    const changedPaths = pending
+    pending = []
+    listeners.forEach((subscription) => {
+      const related = changedPaths.filter((path) => isRelatedPath(subscription.path, path))
+      if (related.length) {
+        const { path } = subscription
+        try {
+          subscription.listener(path.length ? baseGet(state, path) : state, related)
+        } catch (error) {
+          // Report the error without skipping the remaining listeners.
+          setTimeout(() => { throw error })
+        }
+      }
+    })
+  }
+
+  return {
+    get(path) {
+      return path === undefined ? state : baseGet(state, path)
+    },
+    set(path, value) {
+      path = resolvePath(state, castPath(path, state))
+      if (!path || !path.length || isUnsafePath(state, path) || eq(baseGet(state, path), value)) {
+        return
+      }
+      baseSet(state, path, value)
+      if (!pending.length) {
+        queueMicrotask(flush)
+      }
+      pending.push(path)
+    },
+    subscribe(path, listener) {
+      if (typeof listener !== 'function') {
+        throw new TypeError('Expected a function')
+      }
+      const subscription = { 'path': castPath(path, state), listener }
+      listeners.add(subscription)
+      return () => listeners.delete(subscription)
+    }
+  }
+}
+
+export default createStore
@@ -0,0 +1,28 @@
+import baseAssignValue from './.internal/baseAssignValue.js'
+import baseEachLeaf from './.internal/baseEachLeaf.js'
+import formatPath from './.internal/formatPath.js'
+
+/**
+ * Creates an object that maps the path string of every leaf of `object` to
+ * the leaf value. Paths are written as by `paths`, so the result converts
+ * back losslessly with `unflattenObject`, including keys that contain dots.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to flatten.
+ * @returns {Object} Returns the flattened object.
+ * @see paths, unflattenObject
+ * @example
+ *
+ * flattenObject({ 'a': { 'b': [{ 'c': 1 }] }, 'd.e': 2 })
+ * // => { 'a.b[0].c': 1, '["d.e"]': 2 }
+ */
+function flattenObject(object) {
+  const result = {}
+  baseEachLeaf(object, (value, path) => {
+    baseAssignValue(result, formatPath(path), value)
+  })
+  return result
+}
+
+export default flattenObject
@@ -1,16 +1,29 @@
 import baseGet from './.internal/baseGet.js'
+import baseGetAll from './.internal/baseGetAll.js'
+import castPath from './.internal/castPath.js'
+import isWildcard from './.internal/isWildcard.js'
 
 /**
  * Gets the value at `path` of `object`. If the resolved value is
  * `undefined`, the `defaultValue` is returned in its place.
  *
+ * Strings starting with `/` are parsed as JSON Pointers. If a string `path`
+ * contains unquoted `*` or `**` wildcard segments, an array of every matched
+ * value is returned instead, while quoted keys such as `["*"]` and the
+ * elements of array paths are literal. Use `getAll` to also receive the
+ * concrete path of each match.
+ * Bracketed negative indexes, such as `[-1]`, count from the end of arrays
+ * and bracketed ranges, such as `[2:5]`, select sub-arrays as by `slice`.
+ * `Map` and `WeakMap` values are read with their `get` method; see
+ * `registerPathAccessor` to support other containers.
+ *
  * @since 3.7.0
  * @category Object
  * @param {Object} object The object to query.
  * @param {Array|string} path The path of the property to get.
  * @param {*} [defaultValue] The value returned for `undefined` resolved values.
  * @returns {*} Returns the resolved value.
- * @see has, hasIn, set, unset
+ * @see getAll, has, hasIn, registerPathAccessor, set, unset
  * @example
  *
  * const object = { 'a': [{ 'b': { 'c': 3 } }] }
@@ -21,10 +34,23 @@ import baseGet from './.internal/baseGet.js'
  * get(object, ['a', '0', 'b', 'c'])
  * // => 3
  *
+ * get(object, '/a/0/b/c')
+ * // => 3
+ *
  * get(object, 'a.b.c', 'default')
  * // => 'default'
+ *
+ * get(object, 'a[*].b.c')
+ * // => [3]
+ *
+ * get({ 'items': [1, 2, 3] }, 'items[-1]')
+ * // => 3
  */
 function get(object, path, defaultValue) {
+  path = castPath(path, object)
+  if (path.some(isWildcard)) {
+    return object == null ? [] : baseGetAll(object, path).map(({ value }) => value)
+  }
   const result = object == null ? undefined : baseGet(object, path)
   return result === undefined ? defaultValue : result
 }
@@ -0,0 +1,37 @@
+import baseGetAll from './.internal/baseGetAll.js'
+
+/**
+ * Gets every value matched by `path` of `object` along with the concrete
+ * path at which it was found. A `*` segment matches each element of an array
+ * or each own enumerable property value of an object, while a `**` segment
+ * matches the current value and all of its descendants. A range segment,
+ * such as `[0:2]`, matches each element in its range, and negative indexes
+ * count from the end. Properties that don't exist are not matched.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the properties to get.
+ * @returns {Object[]} Returns the matches as `{ path, value }` entries.
+ * @see at, get
+ * @example
+ *
+ * const object = { 'users': [{ 'email': 'a@x' }, { 'email': 'b@x' }] }
+ *
+ * getAll(object, 'users[*].email')
+ * // => [
+ * //   { 'path': ['users', 0, 'email'], 'value': 'a@x' },
+ * //   { 'path': ['users', 1, 'email'], 'value': 'b@x' }
+ * // ]
+ *
+ * getAll({ 'id': 1, 'child': { 'id': 2 } }, '**.id')
+ * // => [
+ * //   { 'path': ['id'], 'value': 1 },
+ * //   { 'path': ['child', 'id'], 'value': 2 }
+ * // ]
+ */
+function getAll(object, path) {
+  return object == null ? [] : baseGetAll(object, path)
+}
+
+export default getAll
@@ -0,0 +1,32 @@
+import castArray from './castArray.js'
+import createTypedGetter from './.internal/createTypedGetter.js'
+
+/**
+ * Gets the value at `path` of `object` cast to an array as by `castArray`.
+ * If the value is missing, `defaultValue` is returned when given, otherwise
+ * a `PathError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {Array} [defaultValue] The value returned for missing values.
+ * @returns {Array} Returns the resolved array.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @see castArray, getOrThrow
+ * @example
+ *
+ * const config = { 'hosts': 'db1', 'ports': [1, 2] }
+ *
+ * getArray(config, 'hosts')
+ * // => ['db1']
+ *
+ * getArray(config, 'ports')
+ * // => [1, 2]
+ *
+ * getArray(config, 'tags', [])
+ * // => []
+ */
+const getArray = createTypedGetter('an array', (value) => castArray(value))
+
+export default getArray
@@ -0,0 +1,48 @@
+import createTypedGetter from './.internal/createTypedGetter.js'
+import isBoolean from './isBoolean.js'
+
+/** Used to map boolean-like strings and numbers to booleans. */
+const booleanLikes = {
+  'true': true, 'yes': true, 'on': true, '1': true,
+  'false': false, 'no': false, 'off': false, '0': false
+}
+
+/**
+ * Gets the value at `path` of `object` converted to a boolean. Booleans are
+ * returned as is, while the numbers `1` and `0` and the case-insensitive
+ * strings `'true'`, `'yes'`, `'on'`, `'1'`, `'false'`, `'no'`, `'off'`, and
+ * `'0'` are converted. If the value is missing or can't be converted,
+ * `defaultValue` is returned when given, otherwise a `PathError` or
+ * `TypeError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {boolean} [defaultValue] The value returned for missing or invalid values.
+ * @returns {boolean} Returns the resolved boolean.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @throws {TypeError} Throws if the value is invalid and there's no `defaultValue`.
+ * @see getOrThrow, isBoolean
+ * @example
+ *
+ * const config = { 'debug': 'Yes', 'mode': 'fast' }
+ *
+ * getBoolean(config, 'debug')
+ * // => true
+ *
+ * getBoolean(config, 'mode', false)
+ * // => false
+ */
+const getBoolean = createTypedGetter('a boolean', (value) => {
+  if (isBoolean(value)) {
+    return value.valueOf()
+  }
+  if (typeof value === 'number' || typeof value === 'string') {
+    const key = `${value}`.trim().toLowerCase()
+    return Object.prototype.hasOwnProperty.call(booleanLikes, key) ? booleanLikes[key] : undefined
+  }
+  return undefined
+})
+
+export default getBoolean
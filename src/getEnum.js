@@ -0,0 +1,42 @@
+import createTypedGetter from './.internal/createTypedGetter.js'
+import eq from './eq.js'
+
+/**
+ * Gets the value at `path` of `object` if it's one of `values`, as compared
+ * by `SameValueZero`. If the value is missing or not one of `values`,
+ * `defaultValue` is returned when given, otherwise a `PathError` or
+ * `TypeError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {Array} values The allowed values.
+ * @param {*} [defaultValue] The value returned for missing or invalid values.
+ * @returns {*} Returns the resolved value.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @throws {TypeError} Throws if the value is invalid and there's no `defaultValue`.
+ * @see getOrThrow
+ * @example
+ *
+ * const config = { 'log': { 'level': 'warn' } }
+ *
+ * getEnum(config, 'log.level', ['debug', 'info', 'warn'])
+ * // => 'warn'
+ *
+ * getEnum(config, 'log.level', ['debug', 'info'], 'info')
+ * // => 'info'
+ *
+ * getEnum(config, 'log.level', ['debug', 'info'])
+ * // => throws TypeError: Expected "log.level" to be one of "debug", "info", found "warn"
+ */
+function getEnum(object, path, values, defaultValue) {
+  const describe = () =>
+    `one of ${values.map((value) => (typeof value === 'string' ? `"${value}"` : String(value))).join(', ')}`
+
+  return createTypedGetter(describe, (value) =>
+    values.some((other) => eq(other, value)) ? value : undefined
+  )(object, path, defaultValue)
+}
+
+export default getEnum
@@ -0,0 +1,36 @@
+import coerceNumber from './.internal/coerceNumber.js'
+import createTypedGetter from './.internal/createTypedGetter.js'
+import toFinite from './toFinite.js'
+import toInteger from './toInteger.js'
+
+/**
+ * Gets the value at `path` of `object` converted to an integer as by
+ * `toInteger`. If the value is missing, `null`, a blank string, an array, or
+ * converts to `NaN` or an infinite number, `defaultValue` is returned when
+ * given, otherwise a `PathError` or `TypeError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {number} [defaultValue] The value returned for missing or invalid values.
+ * @returns {number} Returns the resolved integer.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @throws {TypeError} Throws if the value is invalid and there's no `defaultValue`.
+ * @see getNumber, getOrThrow, toInteger
+ * @example
+ *
+ * const config = { 'server': { 'port': '8080.9' } }
+ *
+ * getInteger(config, 'server.port')
+ * // => 8080
+ *
+ * getInteger(config, 'server.workers', 4)
+ * // => 4
+ */
+const getInteger = createTypedGetter('an integer', (value) => {
+  const result = coerceNumber(value)
+  return (result !== undefined && toFinite(result) === result) ? toInteger(result) : undefined
+})
+
+export default getInteger
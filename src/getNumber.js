@@ -0,0 +1,34 @@
+import coerceNumber from './.internal/coerceNumber.js'
+import createTypedGetter from './.internal/createTypedGetter.js'
+
+/**
+ * Gets the value at `path` of `object` converted to a number as by
+ * `toNumber`. If the value is missing, `null`, a blank string, an array, or
+ * converts to `NaN`, `defaultValue` is returned when given, otherwise a
+ * `PathError` or `TypeError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {number} [defaultValue] The value returned for missing or invalid values.
+ * @returns {number} Returns the resolved number.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @throws {TypeError} Throws if the value is invalid and there's no `defaultValue`.
+ * @see getInteger, getOrThrow, toNumber
+ * @example
+ *
+ * const config = { 'timeout': '2.5', 'host': 'db' }
+ *
+ * getNumber(config, 'timeout')
+ * // => 2.5
+ *
+ * getNumber(config, 'host', 30)
+ * // => 30
+ *
+ * getNumber(config, 'host')
+ * // => throws TypeError: Expected "host" to be a number, found "db"
+ */
+const getNumber = createTypedGetter('a number', coerceNumber)
+
+export default getNumber
@@ -0,0 +1,45 @@
+import PathError from './PathError.js'
+import baseGetKey from './.internal/baseGetKey.js'
+import castPath from './.internal/castPath.js'
+
+/**
+ * This method is like `get` except that it throws a `PathError` instead of
+ * returning a default value when the value at `path` of `object` is
+ * `undefined` or can't be reached through `null`. The error names the full
+ * path, the segments that resolved, the segment that couldn't be resolved,
+ * and the type of value found in its place.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @returns {*} Returns the resolved value.
+ * @throws {PathError} Throws if `path` can't be resolved.
+ * @see get, PathError
+ * @example
+ *
+ * const object = { 'a': [{ 'b': { 'c': 3 } }] }
+ *
+ * getOrThrow(object, 'a[0].b.c')
+ * // => 3
+ *
+ * getOrThrow(object, 'a[0].x.c')
+ * // => throws PathError: Cannot resolve "x" of "a[0].x.c": found object at "a[0]"
+ */
+function getOrThrow(object, path) {
+  path = castPath(path, object)
+
+  let index = -1
+  const length = path.length
+
+  while (++index < length) {
+    const value = object == null ? undefined : baseGetKey(object, path[index])
+    if (value === undefined) {
+      throw new PathError(path, index, object)
+    }
+    object = value
+  }
+  return object
+}
+
+export default getOrThrow
@@ -0,0 +1,36 @@
+import createTypedGetter from './.internal/createTypedGetter.js'
+import toString from './toString.js'
+
+/**
+ * Gets the value at `path` of `object` converted to a string as by
+ * `toString`. Only strings, numbers, booleans, and bigints are converted.
+ * If the value is missing or of another type, `defaultValue` is returned
+ * when given, otherwise a `PathError` or `TypeError` is thrown.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path of the property to get.
+ * @param {string} [defaultValue] The value returned for missing or invalid values.
+ * @returns {string} Returns the resolved string.
+ * @throws {PathError} Throws if `path` is missing and there's no `defaultValue`.
+ * @throws {TypeError} Throws if the value is invalid and there's no `defaultValue`.
+ * @see getOrThrow, toString
+ * @example
+ *
+ * const config = { 'db': { 'port': 5432, 'options': {} } }
+ *
+ * getString(config, 'db.port')
+ * // => '5432'
+ *
+ * getString(config, 'db.options', '')
+ * // => ''
+ */
+const getString = createTypedGetter('a string', (value) => {
+  const type = typeof value
+  return (type === 'string' || type === 'number' || type === 'boolean' || type === 'bigint')
+    ? toString(value)
+    : undefined
+})
+
+export default getString
@@ -0,0 +1,36 @@
+import hasPath from './.internal/hasPath.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Checks if `path` is a direct property of `object`.
+ *
+ * @since 0.1.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path to check.
+ * @returns {boolean} Returns `true` if `path` exists, else `false`.
+ * @see get, hasIn, set, unset
+ * @example
+ *
+ * const object = { 'a': { 'b': 2 } }
+ * const other = Object.create({ 'a': Object.create({ 'b': 2 }) })
+ *
+ * has(object, 'a')
+ * // => true
+ *
+ * has(object, 'a.b')
+ * // => true
+ *
+ * has(object, ['a', 'b'])
+ * // => true
+ *
+ * has(other, 'a')
+ * // => false
+ */
+function has(object, path) {
+  return object != null && hasPath(object, path, (object, key) => hasOwnProperty.call(object, key))
+}
+
+export default has
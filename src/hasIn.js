@@ -0,0 +1,32 @@
+import hasPath from './.internal/hasPath.js'
+
+/**
+ * Checks if `path` is a direct or inherited property of `object`.
+ *
+ * @since 4.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @param {Array|string} path The path to check.
+ * @returns {boolean} Returns `true` if `path` exists, else `false`.
+ * @see get, has, set, unset
+ * @example
+ *
+ * const object = Object.create({ 'a': Object.create({ 'b': 2 }) })
+ *
+ * hasIn(object, 'a')
+ * // => true
+ *
+ * hasIn(object, 'a.b')
+ * // => true
+ *
+ * hasIn(object, ['a', 'b'])
+ * // => true
+ *
+ * hasIn(object, 'b')
+ * // => false
+ */
+function hasIn(object, path) {
+  return object != null && hasPath(object, path, (object, key) => key in Object(object))
+}
+
+export default hasIn
@@ -0,0 +1,39 @@
+import memoizeTags from './.internal/memoizeTags.js'
+
+/**
+ * Removes every cache entry tagged with `tag` from the caches of functions
+ * memoized by `memoize` or `memoizeAsync` with the `tags` option.
+ *
+ * @since 5.0.0
+ * @category Function
+ * @param {*} tag The tag of the entries to remove.
+ * @returns {number} Returns the number of entries removed.
+ * @see memoize, memoizeAsync
+ * @example
+ *
+ * const getProfile = memoize((user) => loadProfile(user.id), {
+ *   'tags': (args) => [`user:${args[0].id}`]
+ * })
+ *
+ * getProfile({ 'id': 42 })
+ * invalidateTag('user:42')
+ * // => 1
+ */
+function invalidateTag(tag) {
+  const refs = memoizeTags.get(tag)
+  let result = 0
+
+  if (refs) {
+    // Deleting an entry untags it, so iterate over a copy.
+    Array.from(refs).forEach((ref) => {
+      const record = ref.deref()
+      if (record && record.cache.delete(record.key)) {
+        result++
+      }
+    })
+    memoizeTags.delete(tag)
+  }
+  return result
+}
+
+export default invalidateTag
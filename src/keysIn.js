@@ -0,0 +1,31 @@
+/**
+ * Creates an array of the own and inherited enumerable property names of `object`.
+ *
+ * **Note:** Non-object values are coerced to objects.
+ *
+ * @since 3.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @returns {Array} Returns the array of property names.
+ * @see keys, valuesIn
+ * @example
+ *
+ * function Foo() {
+ *   this.a = 1
+ *   this.b = 2
+ * }
+ *
+ * Foo.prototype.c = 3
+ *
+ * keysIn(new Foo)
+ * // => ['a', 'b', 'c'] (iteration order is not guaranteed)
+ */
+function keysIn(object) {
+  const result = []
+  for (const key in object) {
+    result.push(key)
+  }
+  return result
+}
+
+export default keysIn
@@ -0,0 +1,48 @@
+import baseGet from './.internal/baseGet.js'
+import baseUpdateIn from './.internal/baseUpdateIn.js'
+import castPath from './.internal/castPath.js'
+import createLens from './.internal/createLens.js'
+import isIndex from './.internal/isIndex.js'
+import isObject from './isObject.js'
+
+/**
+ * Creates a lens focused on `path`. The lens provides `view(object)` to get
+ * the value at `path`, `set(object, value)` to return a copy of `object`
+ * with `value` at `path`, and `over(object, updater)` to return a copy with
+ * the value at `path` replaced by the result of `updater`. Copies are made
+ * as by `setIn`, so `object` is never mutated and untouched branches are
+ * shared. Lenses may be combined with `composeLenses`.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Array|string} path The path to focus on.
+ * @returns {Object} Returns the new lens.
+ * @see composeLenses, get, setIn
+ * @example
+ *
+ * const address = lens('user.address')
+ * const state = { 'user': { 'address': { 'city': 'Lahti' } } }
+ *
+ * address.view(state)
+ * // => { 'city': 'Lahti' }
+ *
+ * address.set(state, { 'city': 'Espoo' })
+ * // => { 'user': { 'address': { 'city': 'Espoo' } } }
+ *
+ * address.over(state, a => ({ ...a, 'zip': '15100' }))
+ * // => { 'user': { 'address': { 'city': 'Lahti', 'zip': '15100' } } }
+ */
+function lens(path) {
+  path = castPath(path)
+  return createLens(
+    (object) => object == null ? undefined : baseGet(object, path),
+    (object, value) => {
+      if (!isObject(object)) {
+        object = isIndex(path[0]) ? [] : {}
+      }
+      return baseUpdateIn(object, path, () => value)
+    }
+  )
+}
+
+export default lens
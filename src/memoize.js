@@ -1,3 +1,6 @@
+import createMemoizeCache from './.internal/createMemoizeCache.js'
+import resolveTags from './.internal/resolveTags.js'
+
 /**
  * Creates a function that memoizes the result of `func`. If `resolver` is
  * provided, it determines the cache key for storing the result based on the
@@ -11,11 +14,65 @@
  * [`Map`](http://ecma-international.org/ecma-262/7.0/#sec-properties-of-the-map-prototype-object)
  * method interface of `clear`, `delete`, `get`, `has`, and `set`.
  *
+ * An options object may be passed in place of `resolver` to bound the cache.
+ * When `maxSize` or `ttl` is given, the cache is a least recently used cache
+ * instead of a `memoize.Cache` instance. It evicts the least recently used
+ * entry once it holds `maxSize` entries and drops each entry `ttl`
+ * milliseconds after it was set. Both must be non-negative numbers, and a
+ * `maxSize` of `0` disables caching. When `allArgs` is `true`, results are
+ * cached by the full argument list instead, in a trie of `Map` and `WeakMap`
+ * objects. Arguments are compared using
+ * [`SameValueZero`](http://ecma-international.org/ecma-262/7.0/#sec-samevaluezero),
+ * and results cached for object arguments may be garbage collected with them.
+ * The trie can't be combined with `maxSize`, `ttl`, or `resolver`.
+ *
+ * Setting `stats` to `true`, or passing any of the `onHit`, `onMiss`, and
+ * `onEvict` hooks, instruments the cache. A `has` check of the cache counts
+ * as a hit or a miss, invoking `onHit` or `onMiss` with the key, and
+ * `cache.stats()` returns the `hits`, `misses`, `evictions`, `size`, and
+ * `hitRatio` so far. An entry dropped by the cache itself, because it was
+ * least recently used or expired, counts as an eviction and invokes
+ * `onEvict` with its key and value. A custom `memoize.Cache` reports
+ * evictions by invoking its own `onEvict` property the same way.
+ *
+ * When `tags` is given, it's invoked with the arguments array of each call
+ * that caches a result and returns the array of tags of that entry. If it
+ * returns anything else, a `TypeError` is thrown and nothing is cached. Use
+ * `invalidateTag` to remove the tagged entries of every memoized function.
+ * Tags are dropped along with their entry when it's deleted or evicted, and
+ * are held weakly, so they don't keep memoized functions or object keys
+ * from being garbage collected.
+ *
+ * Caches with an `entries` method, including the default ones, are given
+ * `export([encoder])` and `import(snapshot, [encoder])` methods unless they
+ * define their own. `export` returns a JSON safe snapshot of the entries,
+ * with their expiry times, and `import` sets the unexpired entries of a
+ * snapshot, returning how many it set. By default only keys and values that
+ * survive a JSON round trip are exported. A custom `encoder` object provides
+ * an `encode` function, which returns a JSON safe form of a key or value or
+ * `undefined` to skip the entry, and a `decode` function to reverse it.
+ * Caches without a `maxSize` or `ttl` can't store expiry times, so entries
+ * that have one aren't imported into them. To support expiry, a custom
+ * `memoize.Cache` has a truthy `supportsExpiry` property, yields
+ * `[key, value, expires]` entries, and accepts `expires` as the third
+ * argument of `set`.
+ *
  * @since 0.1.0
  * @category Function
  * @param {Function} func The function to have its output memoized.
- * @param {Function} [resolver] The function to resolve the cache key.
+ * @param {Function|Object} [resolver] The function to resolve the cache key
+ *  or the options object.
+ * @param {number} [resolver.maxSize=Infinity] The maximum number of cached results.
+ * @param {number} [resolver.ttl=Infinity] The milliseconds until a cached result expires.
+ * @param {Function} [resolver.resolver] The function to resolve the cache key.
+ * @param {boolean} [resolver.allArgs=false] Specify caching by every argument.
+ * @param {boolean} [resolver.stats=false] Specify instrumenting the cache.
+ * @param {Function} [resolver.onHit] The function invoked per cache hit.
+ * @param {Function} [resolver.onMiss] The function invoked per cache miss.
+ * @param {Function} [resolver.onEvict] The function invoked per eviction.
+ * @param {Function} [resolver.tags] The function to resolve the tags of an entry.
  * @returns {Function} Returns the new memoized function.
+ * @see invalidateTag, memoizeAsync
  * @example
  *
  * const object = { 'a': 1, 'b': 2 }
@@ -39,23 +96,55 @@
  *
  * // Replace `memoize.Cache`.
  * memoize.Cache = WeakMap
+ *
+ * // Keep only the 100 most recently used results, for at most a minute.
+ * const fetchUser = memoize(loadUser, { 'maxSize': 100, 'ttl': 60000 })
+ *
+ * // Cache by every argument.
+ * const area = memoize((width, height) => width * height, { 'allArgs': true })
+ * area(2, 3)
+ * // => 6
+ *
+ * // Count cache hits.
+ * const square = memoize((n) => n * n, { 'stats': true })
+ * square(2)
+ * square(2)
+ * square.cache.stats()
+ * // => { 'hits': 1, 'misses': 1, 'evictions': 0, 'size': 1, 'hitRatio': 0.5 }
+ *
+ * // Persist results between runs.
+ * const snapshot = JSON.stringify(square.cache.export())
+ * const restored = memoize((n) => n * n, { 'stats': true })
+ * restored.cache.import(JSON.parse(snapshot))
+ * // => 1
  */
 function memoize(func, resolver) {
-  if (typeof func !== 'function' || (resolver != null && typeof resolver !== 'function')) {
+  let options = {}
+  if (resolver != null && typeof resolver === 'object') {
+    options = resolver
+    resolver = options.resolver
+  }
+  const { allArgs, tags } = options
+  if (typeof func !== 'function' || (resolver != null && typeof resolver !== 'function') ||
+      (tags != null && typeof tags !== 'function')) {
     throw new TypeError('Expected a function')
   }
   const memoized = function(...args) {
-    const key = resolver ? resolver.apply(this, args) : args[0]
+    const key = resolver ? resolver.apply(this, args) : (allArgs ? args : args[0])
     const cache = memoized.cache
 
     if (cache.has(key)) {
       return cache.get(key)
     }
     const result = func.apply(this, args)
+    const entryTags = tags ? resolveTags(tags, args) : undefined
     memoized.cache = cache.set(key, result) || cache
+    if (tags) {
+      memoized.cache.tag(key, entryTags)
+    }
     return result
   }
-  memoized.cache = new (memoize.Cache || Map)
+  memoized.cache = createMemoizeCache(options, memoize.Cache)
   return memoized
 }
 
@@ -0,0 +1,108 @@
+import createMemoizeCache from './.internal/createMemoizeCache.js'
+import memoize from './memoize.js'
+import resolveTags from './.internal/resolveTags.js'
+
+/**
+ * Creates a function that memoizes the promise returned by `func`, like
+ * `memoize` with the same options. Calls made while a promise is pending
+ * share it, and a promise that rejects is removed from the cache so the next
+ * call invokes `func` again.
+ *
+ * When `staleWhileRevalidate` is given, an entry older than `ttl` is kept for
+ * that many more milliseconds. A call in that window resolves to the stale
+ * result while `func` is invoked once in the background to refresh it. A
+ * failed refresh keeps the stale result.
+ *
+ * **Note:** The cache is exposed as the `cache` property on the memoized
+ * function. Its values are internal entry objects rather than promises, so
+ * they aren't exported by `cache.export`.
+ *
+ * @since 5.0.0
+ * @category Function
+ * @param {Function} func The function to have its promise memoized.
+ * @param {Object} [options={}] The options object.
+ * @param {number} [options.maxSize=Infinity] The maximum number of cached promises.
+ * @param {number} [options.ttl=Infinity] The milliseconds until a cached result is stale.
+ * @param {number} [options.staleWhileRevalidate=0] The milliseconds a stale
+ *  result may still be used while it's refreshed.
+ * @param {Function} [options.resolver] The function to resolve the cache key.
+ * @param {boolean} [options.allArgs=false] Specify caching by every argument.
+ * @param {boolean} [options.stats=false] Specify instrumenting the cache.
+ * @param {Function} [options.onHit] The function invoked per cache hit.
+ * @param {Function} [options.onMiss] The function invoked per cache miss.
+ * @param {Function} [options.onEvict] The function invoked per eviction.
+ * @param {Function} [options.tags] The function to resolve the tags of an entry.
+ * @returns {Function} Returns the new memoized function.
+ * @see invalidateTag, memoize
+ * @example
+ *
+ * const fetchUser = memoizeAsync((id) => fetch(`/users/${id}`).then((res) => res.json()), {
+ *   'ttl': 60000,
+ *   'staleWhileRevalidate': 300000
+ * })
+ *
+ * // Both calls share one request.
+ * Promise.all([fetchUser(1), fetchUser(1)])
+ */
+function memoizeAsync(func, options) {
+  options = options || {}
+  const { ttl, staleWhileRevalidate, resolver, allArgs, tags } = options
+  if (typeof func !== 'function' || (resolver != null && typeof resolver !== 'function') ||
+      (tags != null && typeof tags !== 'function')) {
+    throw new TypeError('Expected a function')
+  }
+  const freshFor = ttl == null ? Infinity : ttl
+  const staleFor = staleWhileRevalidate || 0
+
+  const load = (thisArg, args, key) => {
+    const entryTags = tags ? resolveTags(tags, args) : undefined
+    const entry = {
+      'promise': new Promise((resolve) => resolve(func.apply(thisArg, args))),
+      'stale': Infinity,
+      'revalidating': false
+    }
+    entry.promise.then(
+      () => { entry.stale = Date.now() + freshFor },
+      () => {
+        const { cache } = memoized
+        if (cache.get(key) === entry) {
+          cache.delete(key)
+        }
+      }
+    )
+    if (tags) {
+      memoized.cache.tag(key, entryTags)
+    }
+    return entry
+  }
+
+  const revalidate = (thisArg, args, key, entry) => {
+    const next = load(thisArg, args, key)
+    entry.revalidating = true
+    next.promise.then(
+      () => { memoized.cache.set(key, next) },
+      () => { entry.revalidating = false }
+    )
+  }
+
+  const memoized = function(...args) {
+    const key = resolver ? resolver.apply(this, args) : (allArgs ? args : args[0])
+    const { cache } = memoized
+    let entry = cache.has(key) ? cache.get(key) : undefined
+
+    if (entry === undefined) {
+      entry = load(this, args, key)
+      memoized.cache = cache.set(key, entry) || cache
+    } else if (entry.stale <= Date.now() && !entry.revalidating) {
+      revalidate(this, args, key, entry)
+    }
+    return entry.promise
+  }
+  memoized.cache = createMemoizeCache(
+    { ...options, 'ttl': ttl == null ? ttl : ttl + staleFor },
+    memoize.Cache
+  )
+  return memoized
+}
+
+export default memoizeAsync
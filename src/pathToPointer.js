@@ -0,0 +1,30 @@
+import castPath from './.internal/castPath.js'
+import toKey from './.internal/toKey.js'
+
+/** Used to match characters that must be escaped in JSON Pointers. */
+const reUnescapedToken = /[~/]/g
+
+/**
+ * Converts `path` to a [JSON Pointer](https://tools.ietf.org/html/rfc6901)
+ * string, escaping `~` as `~0` and `/` as `~1`.
+ *
+ * @since 5.0.0
+ * @category Util
+ * @param {Array|string} path The property path to convert.
+ * @returns {string} Returns the JSON Pointer.
+ * @see pathToString, pointerToPath
+ * @example
+ *
+ * pathToPointer(['items', 0, 'name'])
+ * // => '/items/0/name'
+ *
+ * pathToPointer('a[0]["b/c"]')
+ * // => '/a/0/b~1c'
+ */
+function pathToPointer(path) {
+  return castPath(path).map((key) =>
+    `/${toKey(key).replace(reUnescapedToken, (chr) => chr === '~' ? '~0' : '~1')}`
+  ).join('')
+}
+
+export default pathToPointer
@@ -0,0 +1,33 @@
+import castPath from './.internal/castPath.js'
+import formatPath from './.internal/formatPath.js'
+
+/**
+ * Converts `path` to its canonical path string, the inverse of how `get`
+ * parses path strings. Integers are written as bracketed indexes, slices
+ * as bracketed ranges, and identifiers in dot notation, while every other
+ * key, including keys that contain dots, brackets, quotes, or backslashes,
+ * is written as a double quoted bracket with `"` and `\` escaped. The result
+ * parses back to an identical path array, except that numbers other than
+ * integers in the index range, such as `1.5`, parse back as strings.
+ *
+ * @since 5.0.0
+ * @category Util
+ * @param {Array|string} path The property path to convert.
+ * @returns {string} Returns the path string.
+ * @see pathToPointer, paths
+ * @example
+ *
+ * pathToString(['a', 0, 'b.c', ''])
+ * // => 'a[0]["b.c"][""]'
+ *
+ * pathToString(['say "hi"', '0'])
+ * // => '["say \\"hi\\""]["0"]'
+ *
+ * pathToString("a['b'].c")
+ * // => 'a.b.c'
+ */
+function pathToString(path) {
+  return formatPath(castPath(path))
+}
+
+export default pathToString
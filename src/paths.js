@@ -0,0 +1,29 @@
+import baseEachLeaf from './.internal/baseEachLeaf.js'
+import formatPath from './.internal/formatPath.js'
+
+/**
+ * Creates an array of the path strings of every leaf of `object`. Arrays and
+ * plain objects are descended into, while all other values, empty arrays, and
+ * empty objects are leaves. Keys that aren't identifiers are written as
+ * quoted brackets, so each path resolves back to its leaf with `get`.
+ * Circular references are skipped.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to query.
+ * @returns {string[]} Returns the leaf paths.
+ * @see flattenObject, get, pathToString
+ * @example
+ *
+ * paths({ 'a': [{ 'b': 1 }, 2], 'c.d': { 'e': [] } })
+ * // => ['a[0].b', 'a[1]', '["c.d"].e']
+ */
+function paths(object) {
+  const result = []
+  baseEachLeaf(object, (value, path) => {
+    result.push(formatPath(path))
+  })
+  return result
+}
+
+export default paths
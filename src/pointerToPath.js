@@ -0,0 +1,37 @@
+import isJsonPointer from './.internal/isJsonPointer.js'
+
+/** Used to match JSON Pointer escape sequences. */
+const reEscapedToken = /~[01]/g
+
+/**
+ * Converts the [JSON Pointer](https://tools.ietf.org/html/rfc6901) `pointer`
+ * to a property path array. The empty string refers to the whole document
+ * and converts to an empty path.
+ *
+ * @since 5.0.0
+ * @category Util
+ * @param {string} pointer The JSON Pointer to convert.
+ * @returns {Array} Returns the property path array.
+ * @throws {SyntaxError} Throws if `pointer` isn't a valid JSON Pointer.
+ * @see pathToPointer
+ * @example
+ *
+ * pointerToPath('/items/0/name')
+ * // => ['items', '0', 'name']
+ *
+ * pointerToPath('/a~1b/c~0d')
+ * // => ['a/b', 'c~d']
+ */
+function pointerToPath(pointer) {
+  if (pointer === '') {
+    return []
+  }
+  if (!isJsonPointer(pointer)) {
+    throw new SyntaxError(`Invalid JSON Pointer: ${String(pointer)}`)
+  }
+  return pointer.slice(1).split('/').map((token) =>
+    token.replace(reEscapedToken, (match) => match === '~1' ? '/' : '~')
+  )
+}
+
+export default pointerToPath
@@ -0,0 +1,53 @@
+import baseAssignValue from './.internal/baseAssignValue.js'
+import baseGet from './.internal/baseGet.js'
+import isPlainObject from './isPlainObject.js'
+
+/**
+ * Creates an object with the shape of `spec` whose values are selected from
+ * `source`. Each value of `spec` is either a path to resolve on `source`, a
+ * function invoked with `source` whose result is used, or a nested spec
+ * that produces a nested object. Keys of `spec` whose paths don't resolve
+ * are set to `undefined`.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} source The object to select values from.
+ * @param {Object} spec The shape of the result.
+ * @returns {Object} Returns the new object.
+ * @see at, get
+ * @example
+ *
+ * const source = {
+ *   'user': { 'profile': { 'name': 'fred' }, 'address': [{ 'city': 'Lahti' }] },
+ *   'items': [{ 'price': 2 }, { 'price': 3 }]
+ * }
+ *
+ * project(source, {
+ *   'name': 'user.profile.name',
+ *   'location': { 'city': 'user.address[0].city' },
+ *   'total': o => o.items.reduce((sum, item) => sum + item.price, 0)
+ * })
+ * // => { 'name': 'fred', 'location': { 'city': 'Lahti' }, 'total': 5 }
+ */
+function project(source, spec) {
+  const result = {}
+  if (spec == null) {
+    return result
+  }
+  Object.keys(spec).forEach((key) => {
+    const selector = spec[key]
+    let value
+
+    if (typeof selector === 'function') {
+      value = selector(source)
+    } else if (isPlainObject(selector)) {
+      value = project(source, selector)
+    } else {
+      value = source == null ? undefined : baseGet(source, selector)
+    }
+    baseAssignValue(result, key, value)
+  })
+  return result
+}
+
+export default project
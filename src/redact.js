@@ -0,0 +1,159 @@
+import baseAssignValue from './.internal/baseAssignValue.js'
+import baseClone from './.internal/baseClone.js'
+import baseGet from './.internal/baseGet.js'
+import baseGetAll from './.internal/baseGetAll.js'
+import baseGetKey from './.internal/baseGetKey.js'
+import castArray from './castArray.js'
+import castPath from './.internal/castPath.js'
+import isIndex from './.internal/isIndex.js'
+import isObject from './isObject.js'
+import pathAccessors from './.internal/pathAccessors.js'
+import toKey from './.internal/toKey.js'
+
+/** Used to compose bitmasks for cloning. */
+const CLONE_DEEP_FLAG = 1
+const CLONE_SYMBOLS_FLAG = 4
+
+/** Used as the default replacement of redacted values. */
+const DEFAULT_MASK = '[REDACTED]'
+
+/** Used to mark array elements to remove once every path is matched. */
+const REMOVED = {}
+
+/**
+ * Masks or removes the value at the concrete `path` of `object`. Entries of
+ * maps are written with `set` and `delete`. Values inside other containers
+ * read through a registered path accessor, such as a `WeakMap`, can't be
+ * written, or may be shared with the original, so the outermost such
+ * container is redacted whole instead. Array elements to remove are marked
+ * with `REMOVED` and added to `removed`, so the indexes of other matches
+ * don't shift before `compactRemoved` splices them out.
+ *
+ * @private
+ * @param {Object} object The object to modify.
+ * @param {Array} path The path of the value to redact.
+ * @param {*} mask The value to replace the value with.
+ * @param {Set} [removed] The arrays with elements to remove, if removing
+ *  values instead of masking them.
+ */
+function redactPath(object, path, mask, removed) {
+  const remove = removed !== undefined
+  let length = 0
+  let container = object
+
+  while (++length < path.length) {
+    container = baseGetKey(container, path[length - 1])
+    if (!isObject(container)) {
+      return
+    }
+    if (!(container instanceof Map) && pathAccessors.some(([Ctor]) => container instanceof Ctor)) {
+      break
+    }
+  }
+  const key = path[length - 1]
+  container = length > 1 ? baseGet(object, path.slice(0, length - 1)) : object
+
+  if (container instanceof Map) {
+    if (remove) {
+      container.delete(key)
+    } else {
+      container.set(key, mask)
+    }
+  }
+  else if (remove && Array.isArray(container) && isIndex(key, container.length)) {
+    container[key] = REMOVED
+    removed.add(container)
+  }
+  else if (isObject(container)) {
+    if (remove) {
+      delete container[toKey(key)]
+    } else {
+      baseAssignValue(container, toKey(key), mask)
+    }
+  }
+}
+
+/**
+ * Removes the elements marked with `REMOVED` from each array of `removed`,
+ * shifting the elements after them down.
+ *
+ * @private
+ * @param {Set} removed The arrays to compact.
+ */
+function compactRemoved(removed) {
+  removed.forEach((array) => {
+    const { length } = array
+    let resIndex = 0
+
+    for (let index = 0; index < length; index++) {
+      if (array[index] !== REMOVED) {
+        if (index in array) {
+          array[resIndex] = array[index]
+        } else {
+          delete array[resIndex]
+        }
+        resIndex++
+      }
+    }
+    array.length = resIndex
+  })
+}
+
+/**
+ * Creates a deep clone of `value` in which the values at `paths` are
+ * replaced by `options.mask`, or removed when `options.remove` is `true`.
+ * Removed array elements are spliced out, shifting later elements down.
+ * `paths` is a path string or an array of paths, so a single path given as
+ * an array of keys must be wrapped, as in `[['a', 'b']]`. Paths may contain `*` and `**` wildcard segments as supported by `getAll`.
+ * Map entries are redacted in place, while containers that can't be written,
+ * such as a `WeakMap`, are redacted whole. Circular references are preserved
+ * in the clone and `value` is never mutated.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {*} value The value to redact.
+ * @param {Array|string} paths The path string or the array of paths of the
+ *  values to redact.
+ * @param {Object} [options={}] The options object.
+ * @param {*} [options.mask='[REDACTED]'] The value to replace matches with.
+ * @param {boolean} [options.remove=false] Specify removing matches instead
+ *  of masking them.
+ * @returns {*} Returns the redacted clone.
+ * @see getAll, unset
+ * @example
+ *
+ * const payload = {
+ *   'password': 'hunter2',
+ *   'session': { 'token': 'abc' },
+ *   'cards': [{ 'number': '4242', 'brand': 'visa' }]
+ * }
+ *
+ * redact(payload, ['password', '**.token', 'cards[*].number'], { 'mask': '***' })
+ * // => {
+ * //   'password': '***',
+ * //   'session': { 'token': '***' },
+ * //   'cards': [{ 'number': '***', 'brand': 'visa' }]
+ * // }
+ *
+ * redact(payload, 'cards[*].number', { 'remove': true }).cards
+ * // => [{ 'brand': 'visa' }]
+ */
+function redact(value, paths, options) {
+  const { mask = DEFAULT_MASK, remove = false } = options || {}
+  // Hold the clone so that it can be redacted whole.
+  const holder = { 'value': baseClone(value, CLONE_DEEP_FLAG | CLONE_SYMBOLS_FLAG) }
+  const removed = remove ? new Set : undefined
+
+  castArray(paths).forEach((path) => {
+    path = ['value'].concat(castPath(path, holder.value))
+    baseGetAll(holder, path).forEach((match) => {
+      redactPath(holder, match.path, mask, removed)
+    })
+  })
+  if (removed) {
+    compactRemoved(removed)
+  }
+  return holder.value
+}
+
+export default redact
@@ -0,0 +1,42 @@
+import pathAccessors from './.internal/pathAccessors.js'
+
+/**
+ * Registers `getter` to read keys of `Ctor` instances when `get`, `getAll`,
+ * and `at` resolve paths. The `getter` is invoked with two arguments:
+ * (container, key), where `key` is the path segment as given. Accessors
+ * for `Map` and `WeakMap` are registered by default, and an accessor
+ * registered later takes precedence, so subclasses may be overridden.
+ * Omitting `getter` removes the accessor for `Ctor`.
+ *
+ * @since 5.0.0
+ * @category Util
+ * @param {Function} Ctor The container constructor.
+ * @param {Function} [getter] The function to read a key of a container.
+ * @example
+ *
+ * class Registry {
+ *   constructor(entries) { this.entries = entries }
+ *   lookup(key) { return this.entries[key] }
+ * }
+ *
+ * registerPathAccessor(Registry, (registry, key) => registry.lookup(key))
+ *
+ * const store = { 'users': new Map([['alice', new Registry({ 'roles': ['admin'] })]]) }
+ *
+ * get(store, 'users.alice.roles[0]')
+ * // => 'admin'
+ */
+function registerPathAccessor(Ctor, getter) {
+  if (typeof Ctor !== 'function' || (getter != null && typeof getter !== 'function')) {
+    throw new TypeError('Expected a function')
+  }
+  const index = pathAccessors.findIndex(([Registered]) => Registered === Ctor)
+  if (index > -1) {
+    pathAccessors.splice(index, 1)
+  }
+  if (getter) {
+    pathAccessors.push([Ctor, getter])
+  }
+}
+
+export default registerPathAccessor
@@ -0,0 +1,36 @@
+import baseUpdateIn from './.internal/baseUpdateIn.js'
+
+/**
+ * This method is like `set` except that it doesn't mutate `object`. Instead
+ * a new object is returned in which only the containers along `path` are
+ * copied, while every untouched branch is shared with `object`. If the value
+ * at `path` is already equivalent to `value`, or `path` passes through an
+ * object other than an array or plain object, such as a map or date,
+ * `object` itself is returned.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to update.
+ * @param {Array|string} path The path of the property to set.
+ * @param {*} value The value to set.
+ * @returns {Object} Returns the new object.
+ * @see set, unsetIn, updateIn
+ * @example
+ *
+ * const object = { 'a': [{ 'b': { 'c': 3 } }], 'd': { 'e': 4 } }
+ *
+ * const result = setIn(object, 'a[0].b.c', 5)
+ * result.a[0].b.c
+ * // => 5
+ *
+ * object.a[0].b.c
+ * // => 3
+ *
+ * result.d === object.d
+ * // => true
+ */
+function setIn(object, path, value) {
+  return baseUpdateIn(object, path, () => value)
+}
+
+export default setIn
@@ -0,0 +1,140 @@
+import eq from './eq.js'
+import formatPath from './.internal/formatPath.js'
+import isIndex from './.internal/isIndex.js'
+import isPlainObject from './isPlainObject.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Creates a proxy of `object` that tracks changes. Writes and deletes made
+ * through the proxy, at any depth of nested arrays and plain objects, are
+ * applied to `object` and recorded by path.
+ *
+ * The proxy provides `changes()` to get the `{ path, oldValue, newValue }`
+ * entries of every changed path, coalescing repeated writes and dropping
+ * paths restored to their original value, `commit()` to accept the changes
+ * and start tracking afresh, and `rollback()` to undo every change since the
+ * last commit. These methods shadow same-named keys of `object`.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to track.
+ * @returns {Object} Returns the tracking proxy.
+ * @example
+ *
+ * const form = { 'user': { 'name': 'fred', 'tags': ['a'] } }
+ * const tracked = track(form)
+ *
+ * tracked.user.name = 'barney'
+ * tracked.user.tags.push('b')
+ * tracked.changes()
+ * // => [
+ * //   { 'path': ['user', 'name'], 'oldValue': 'fred', 'newValue': 'barney' },
+ * //   { 'path': ['user', 'tags', 1], 'oldValue': undefined, 'newValue': 'b' }
+ * // ]
+ *
+ * tracked.rollback()
+ * form
+ * // => { 'user': { 'name': 'fred', 'tags': ['a'] } }
+ */
+function track(object) {
+  let journal = []
+  let entries = new Map
+  const proxies = new WeakMap
+  const targets = new WeakMap
+
+  const record = (path, oldValue, newValue) => {
+    const pathKey = formatPath(path)
+    const entry = entries.get(pathKey)
+
+    if (entry) {
+      entry.newValue = newValue
+      if (eq(entry.oldValue, newValue)) {
+        entries.delete(pathKey)
+      }
+    } else if (!eq(oldValue, newValue)) {
+      entries.set(pathKey, { path, oldValue, newValue })
+    }
+  }
+
+  const toSegment = (target, key) =>
+    (Array.isArray(target) && isIndex(key)) ? +key : key
+
+  const wrap = (value, path) => {
+    let cache = proxies.get(value)
+    if (!cache) {
+      proxies.set(value, cache = new Map)
+    }
+    const pathKey = formatPath(path)
+    let proxy = cache.get(pathKey)
+    if (!proxy) {
+      proxy = new Proxy(value, createHandler(path))
+      cache.set(pathKey, proxy)
+      targets.set(proxy, value)
+    }
+    return proxy
+  }
+
+  const methods = {
+    'changes': () => Array.from(entries.values(), (entry) => ({
+      'path': entry.path.slice(),
+      'oldValue': entry.oldValue,
+      'newValue': entry.newValue
+    })),
+    'commit': () => {
+      journal = []
+      entries = new Map
+    },
+    'rollback': () => {
+      while (journal.length) {
+        const { target, key, existed, oldValue } = journal.pop()
+        if (existed) {
+          target[key] = oldValue
+        } else {
+          delete target[key]
+        }
+      }
+      entries = new Map
+    }
+  }
+
+  const createHandler = (path) => ({
+    get(target, key, receiver) {
+      if (!path.length && hasOwnProperty.call(methods, key)) {
+        return methods[key]
+      }
+      const value = Reflect.get(target, key, receiver)
+      return (Array.isArray(value) || isPlainObject(value))
+        ? wrap(value, path.concat([toSegment(target, key)]))
+        : value
+    },
+    set(target, key, value) {
+      value = targets.get(value) || value
+      const existed = hasOwnProperty.call(target, key)
+      const oldValue = target[key]
+
+      if (Array.isArray(target) && key !== 'length') {
+        // Restore the length of arrays grown by writing past their end.
+        journal.push({ target, 'key': 'length', 'existed': true, 'oldValue': target.length })
+      }
+      journal.push({ target, key, existed, oldValue })
+      target[key] = value
+      record(path.concat([toSegment(target, key)]), oldValue, value)
+      return true
+    },
+    deleteProperty(target, key) {
+      if (hasOwnProperty.call(target, key)) {
+        const oldValue = target[key]
+        journal.push({ target, key, 'existed': true, oldValue })
+        delete target[key]
+        record(path.concat([toSegment(target, key)]), oldValue, undefined)
+      }
+      return true
+    }
+  })
+
+  return wrap(object, [])
+}
+
+export default track
@@ -0,0 +1,54 @@
+import baseAssignValue from './.internal/baseAssignValue.js'
+import castPath from './.internal/castPath.js'
+import isObject from './isObject.js'
+import isUnsafePath from './.internal/isUnsafePath.js'
+import toKey from './.internal/toKey.js'
+
+/** Used to check objects for own properties. */
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * The inverse of `flattenObject`; this method creates a nested object from
+ * an object that maps path strings to values. Arrays are created for
+ * unquoted bracketed indexes, such as `[0]`, while objects are created for
+ * all other keys. Paths that could reach a shared prototype are ignored.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The flattened object.
+ * @returns {Object} Returns the nested object.
+ * @see flattenObject
+ * @example
+ *
+ * unflattenObject({ 'a.b[0].c': 1, '["d.e"]': 2, 'f["0"]': 3 })
+ * // => { 'a': { 'b': [{ 'c': 1 }] }, 'd.e': 2, 'f': { '0': 3 } }
+ */
+function unflattenObject(object) {
+  const result = {}
+  if (object == null) {
+    return result
+  }
+  Object.keys(object).forEach((flatKey) => {
+    const path = castPath(flatKey)
+    if (isUnsafePath(result, path)) {
+      return
+    }
+    const lastIndex = path.length - 1
+    let nested = result
+
+    path.forEach((segment, index) => {
+      const key = toKey(segment)
+      if (index == lastIndex) {
+        baseAssignValue(nested, key, object[flatKey])
+        return
+      }
+      if (!hasOwnProperty.call(nested, key) || !isObject(nested[key])) {
+        baseAssignValue(nested, key, typeof path[index + 1] === 'number' ? [] : {})
+      }
+      nested = nested[key]
+    })
+  })
+  return result
+}
+
+export default unflattenObject
@@ -0,0 +1,35 @@
+import baseUnset from './.internal/baseUnset.js'
+
+/**
+ * Removes the property at `path` of `object`. Negative indexes of arrays
+ * count from the end, while paths with ranges, such as `[0:2]`, are not
+ * deleted.
+ *
+ * **Note:** This method mutates `object`.
+ *
+ * @since 4.0.0
+ * @category Object
+ * @param {Object} object The object to modify.
+ * @param {Array|string} path The path of the property to unset.
+ * @returns {boolean} Returns `true` if the property is deleted, else `false`.
+ * @see get, has, set
+ * @example
+ *
+ * const object = { 'a': [{ 'b': { 'c': 7 } }] }
+ * unset(object, 'a[0].b.c')
+ * // => true
+ *
+ * console.log(object)
+ * // => { 'a': [{ 'b': {} }] }
+ *
+ * unset(object, ['a', '0', 'b', 'c'])
+ * // => true
+ *
+ * console.log(object)
+ * // => { 'a': [{ 'b': {} }] }
+ */
+function unset(object, path) {
+  return object == null ? true : baseUnset(object, path)
+}
+
+export default unset
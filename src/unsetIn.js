@@ -0,0 +1,30 @@
+import baseUnsetIn from './.internal/baseUnsetIn.js'
+
+/**
+ * This method is like `unset` except that it doesn't mutate `object`.
+ * Instead a new object is returned in which only the containers along `path`
+ * are copied, while every untouched branch is shared with `object`. If
+ * `path` doesn't exist, or passes through an object other than an array or
+ * plain object, `object` itself is returned.
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to update.
+ * @param {Array|string} path The path of the property to unset.
+ * @returns {Object} Returns the new object.
+ * @see setIn, unset, updateIn
+ * @example
+ *
+ * const object = { 'a': [{ 'b': { 'c': 7 } }], 'd': 1 }
+ *
+ * unsetIn(object, 'a[0].b.c')
+ * // => { 'a': [{ 'b': {} }], 'd': 1 }
+ *
+ * object.a[0].b.c
+ * // => 7
+ */
+function unsetIn(object, path) {
+  return object == null ? object : baseUnsetIn(object, path)
+}
+
+export default unsetIn
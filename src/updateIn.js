@@ -0,0 +1,32 @@
+import baseUpdateIn from './.internal/baseUpdateIn.js'
+
+/**
+ * This method is like `update` except that it doesn't mutate `object`.
+ * Instead a new object is returned in which only the containers along `path`
+ * are copied, while every untouched branch is shared with `object`. Paths
+ * through objects other than arrays and plain objects, such as maps and
+ * dates, return `object` itself. The `updater` is invoked with one
+ * argument: (value).
+ *
+ * @since 5.0.0
+ * @category Object
+ * @param {Object} object The object to update.
+ * @param {Array|string} path The path of the property to set.
+ * @param {Function} updater The function to produce the updated value.
+ * @returns {Object} Returns the new object.
+ * @see setIn, unsetIn, update
+ * @example
+ *
+ * const object = { 'a': [{ 'b': { 'c': 3 } }] }
+ *
+ * updateIn(object, 'a[0].b.c', n => n * n).a[0].b.c
+ * // => 9
+ *
+ * object.a[0].b.c
+ * // => 3
+ */
+function updateIn(object, path, updater) {
+  return baseUpdateIn(object, path, updater)
+}
+
+export default updateIn
@@ -1,7 +1,8 @@
 import assert from 'node:assert/strict';
-import { describe, it } from 'mocha';
+import { afterEach, describe, it } from 'mocha';
 
 import add from '../src/add.js';
+import applyPatch from '../src/applyPatch.js';
 import at from '../src/at.js';
 import camelCase from '../src/camelCase.js';
 import capitalize from '../src/capitalize.js';
@@ -10,7 +11,12 @@ import ceil from '../src/ceil.js';
 import chunk from '../src/chunk.js';
 import clamp from '../src/clamp.js';
 import compact from '../src/compact.js';
+import composeLenses from '../src/composeLenses.js';
 import countBy from '../src/countBy.js';
+import createMapper from '../src/createMapper.js';
+import createHistory from '../src/createHistory.js';
+import createPatch from '../src/createPatch.js';
+import createStore from '../src/createStore.js';
 import defaultTo from '../src/defaultTo.js';
 import defaultToAny from '../src/defaultToAny.js';
 import difference from '../src/difference.js';
@@ -20,7 +26,19 @@ import endsWith from '../src/endsWith.js';
 import eq from '../src/eq.js';
 import every from '../src/every.js';
 import filter from '../src/filter.js';
+import flattenObject from '../src/flattenObject.js';
 import get from '../src/get.js';
+import getAll from '../src/getAll.js';
+import getArray from '../src/getArray.js';
+import getBoolean from '../src/getBoolean.js';
+import getEnum from '../src/getEnum.js';
+import getInteger from '../src/getInteger.js';
+import getNumber from '../src/getNumber.js';
+import getOrThrow from '../src/getOrThrow.js';
+import getString from '../src/getString.js';
+import has from '../src/has.js';
+import hasIn from '../src/hasIn.js';
+import invalidateTag from '../src/invalidateTag.js';
 import isArguments from '../src/isArguments.js';
 import isArrayLike from '../src/isArrayLike.js';
 import isArrayLikeObject from '../src/isArrayLikeObject.js';
@@ -31,28 +49,89 @@ import isEmpty from '../src/isEmpty.js';
 import isLength from '../src/isLength.js';
 import isObject from '../src/isObject.js';
 import isObjectLike from '../src/isObjectLike.js';
+import isPlainObject from '../src/isPlainObject.js';
 import isSymbol from '../src/isSymbol.js';
 import isTypedArray from '../src/isTypedArray.js';
 import keys from '../src/keys.js';
+import keysIn from '../src/keysIn.js';
+import last from '../src/last.js';
+import lens from '../src/lens.js';
 import map from '../src/map.js';
 import memoize from '../src/memoize.js';
+import memoizeAsync from '../src/memoizeAsync.js';
+import PathError from '../src/PathError.js';
+import paths from '../src/paths.js';
+import pathToPointer from '../src/pathToPointer.js';
+import pathToString from '../src/pathToString.js';
+import pointerToPath from '../src/pointerToPath.js';
+import project from '../src/project.js';
+import redact from '../src/redact.js';
 import reduce from '../src/reduce.js';
+import registerPathAccessor from '../src/registerPathAccessor.js';
+import set from '../src/set.js';
+import setIn from '../src/setIn.js';
+import setWith from '../src/setWith.js';
 import slice from '../src/slice.js';
+import some from '../src/some.js';
 import toFinite from '../src/toFinite.js';
 import toInteger from '../src/toInteger.js';
 import toNumber from '../src/toNumber.js';
+import toPlainObject from '../src/toPlainObject.js';
 import toStringFn from '../src/toString.js';
+import track from '../src/track.js';
+import unflattenObject from '../src/unflattenObject.js';
+import unset from '../src/unset.js';
+import unsetIn from '../src/unsetIn.js';
+import update from '../src/update.js';
+import updateIn from '../src/updateIn.js';
+import updateWith from '../src/updateWith.js';
 import upperFirst from '../src/upperFirst.js';
 import words from '../src/words.js';
+import baseMerge from '../src/.internal/baseMerge.js';
+import memoizeTags from '../src/.internal/memoizeTags.js';
+import stringToPath from '../src/.internal/stringToPath.js';
 
 describe('Utility Function Tests', () => {
   it('add adds numeric arguments', () => {
     assert.strictEqual(add(6, 4), 10);
   });
 
+  it('applyPatch applies JSON Patch operations', () => {
+    const doc = { items: [{ name: 'a' }], x: { y: 1 } };
+    const result = applyPatch(doc, [
+      { op: 'add', path: '/items/-', value: { name: 'b' } },
+      { op: 'replace', path: '/items/0/name', value: 'c' },
+      { op: 'move', from: '/x/y', path: '/z' },
+      { op: 'copy', from: '/items/1', path: '/first' },
+      { op: 'remove', path: '/x' },
+      { op: 'test', path: '/z', value: 1 }
+    ]);
+    assert.strictEqual(result, doc);
+    assert.deepEqual(doc, { items: [{ name: 'c' }, { name: 'b' }], z: 1, first: { name: 'b' } });
+    assert.notStrictEqual(doc.first, doc.items[1]);
+    assert.deepEqual(applyPatch(doc, [{ op: 'replace', path: '', value: [1] }]), [1]);
+  });
+
+  it('applyPatch rolls back every operation when one fails', () => {
+    const doc = { items: [1, 2], a: { b: 1 } };
+    assert.throws(
+      () =>
+        applyPatch(doc, [
+          { op: 'remove', path: '/items/0' },
+          { op: 'add', path: '/a/c', value: 2 },
+          { op: 'replace', path: '/a/b', value: 3 },
+          { op: 'test', path: '/a/b', value: 4 }
+        ]),
+      /test failed at \/a\/b/
+    );
+    assert.deepEqual(doc, { items: [1, 2], a: { b: 1 } });
+    assert.throws(() => applyPatch(doc, [{ op: 'remove', path: '/missing' }]), /does not exist/);
+  });
+
   it('at reads values at multiple deep paths', () => {
     const object = { a: [{ b: { c: 3 } }, 4] };
     assert.deepEqual(at(object, ['a[0].b.c', 'a[1]']), [3, 4]);
+    assert.deepEqual(at(object, ['a[*].b.c', 'a[1]']), [[3], 4]);
   });
 
   it('camelCase normalizes punctuation', () => {
@@ -88,11 +167,147 @@ describe('Utility Function Tests', () => {
     assert.deepEqual(compact([0, 1, false, 2, '', 3]), [1, 2, 3]);
   });
 
+  it('composeLenses focuses through nested lenses', () => {
+    const userCity = composeLenses(lens('user'), lens('address.city'));
+    const state = Object.freeze({ user: Object.freeze({ address: Object.freeze({ city: 'Lahti' }) }) });
+    assert.strictEqual(userCity.view(state), 'Lahti');
+    assert.deepEqual(userCity.set(state, 'Espoo'), { user: { address: { city: 'Espoo' } } });
+    assert.deepEqual(userCity.set({}, 'Espoo'), { user: { address: { city: 'Espoo' } } });
+    assert.strictEqual(userCity.over(state, (city) => city.toUpperCase()).user.address.city, 'LAHTI');
+    assert.strictEqual(composeLenses().view(state), state);
+  });
+
   it('countBy tallies iteratee results', () => {
     const counts = countBy([6.1, 4.2, 6.3], Math.floor);
     assert.deepEqual(counts, { 4: 1, 6: 2 });
   });
 
+  it('createMapper maps, inverts and reports unmapped fields', () => {
+    const toV2 = createMapper({
+      'user.first_name': 'name.first',
+      'user.tags': ['labels'],
+      'user.age': { to: 'age', transform: Number, inverse: String, default: 0 }
+    });
+    const source = { user: { first_name: 'fred', age: '40', email: 'f@x', tags: ['a'] } };
+    const target = toV2(source);
+    assert.deepEqual(target, { name: { first: 'fred' }, labels: ['a'], age: 40 });
+    assert.deepEqual(toV2({}), { age: 0 });
+    assert.deepEqual(toV2.invert()(target), { user: { first_name: 'fred', tags: ['a'], age: '40' } });
+    assert.deepEqual(toV2.unmapped(source), ['user.email']);
+    assert.throws(() => createMapper({ a: { to: 'b', transform: Number } }).invert(), /without an inverse/);
+    assert.throws(() => createMapper({ a: { transform: Number } }), {
+      name: 'TypeError',
+      message: 'Expected a target path for "a"'
+    });
+  });
+
+  it('createHistory undoes and redoes writes and transactions', () => {
+    const doc = { title: 'draft', tags: [] };
+    const history = createHistory(doc, { limit: 2 });
+
+    history.set('title', 'final');
+    history.transaction(() => {
+      history.set('tags[0]', 'a');
+      history.set('meta.author', 'fred');
+      history.update('title', (title) => title.toUpperCase());
+    });
+    assert.deepEqual(doc, { title: 'FINAL', tags: ['a'], meta: { author: 'fred' } });
+    assert.ok(history.undo());
+    assert.deepEqual(doc, { title: 'final', tags: [] });
+    assert.ok(history.redo());
+    assert.deepEqual(doc, { title: 'FINAL', tags: ['a'], meta: { author: 'fred' } });
+
+    history.unset('meta.author');
+    history.unset('missing.key');
+    assert.ok(history.undo());
+    assert.deepEqual(doc.meta, { author: 'fred' });
+    assert.ok(history.undo());
+    assert.ok(!history.undo());
+    assert.deepEqual(doc, { title: 'final', tags: [] });
+    assert.ok(history.canRedo());
+
+    assert.throws(() => history.transaction(() => {
+      history.set('title', 'oops');
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(doc.title, 'final');
+    assert.ok(history.canRedo());
+  });
+
+  it('createPatch generates operations that transform one value into another', () => {
+    const object = { a: 1, b: [1, 2, 3], c: { d: 1 }, e: 'x' };
+    const other = { a: 2, b: [1, 5], c: { d: 1, f: [1] } };
+    const patch = createPatch(object, other);
+    assert.deepEqual(patch, [
+      { op: 'remove', path: '/e' },
+      { op: 'replace', path: '/a', value: 2 },
+      { op: 'replace', path: '/b/1', value: 5 },
+      { op: 'remove', path: '/b/2' },
+      { op: 'add', path: '/c/f', value: [1] }
+    ]);
+    assert.deepEqual(applyPatch(object, patch), other);
+    assert.deepEqual(createPatch(other, other), []);
+    assert.deepEqual(createPatch({ d: new Date(0) }, { d: new Date(5) }), [
+      { op: 'replace', path: '/d', value: new Date(5) }
+    ]);
+  });
+
+  it('createStore notifies related path subscribers once per microtask', async () => {
+    const store = createStore({ user: { settings: { theme: 'light' }, name: 'fred' } });
+    const calls = [];
+    store.subscribe('user.settings.theme', (value, changed) => calls.push(['theme', value, changed]));
+    store.subscribe('user', (value) => calls.push(['user', value.settings.theme]));
+    store.subscribe([], () => calls.push(['root']));
+    const unsubscribe = store.subscribe('user.name', () => calls.push(['name']));
+
+    store.set('user.settings', { theme: 'dark' });
+    store.set('user.settings.theme', 'dim');
+    store.set('user.name', 'fred');
+    assert.deepEqual(calls, []);
+    await Promise.resolve();
+    assert.deepEqual(calls, [
+      ['theme', 'dim', [['user', 'settings'], ['user', 'settings', 'theme']]],
+      ['user', 'dim'],
+      ['root']
+    ]);
+
+    unsubscribe();
+    calls.length = 0;
+    store.set('user.name', 'barney');
+    await Promise.resolve();
+    assert.deepEqual(calls, [['user', 'dim'], ['root']]);
+    assert.strictEqual(store.get('user.name'), 'barney');
+    assert.throws(() => store.subscribe('a'), TypeError);
+
+    calls.length = 0;
+    store.set([], 'x');
+    store.set('__proto__.polluted', 'x');
+    await Promise.resolve();
+    assert.deepEqual(calls, []);
+
+    const errors = [];
+    const { setTimeout: originalSetTimeout } = globalThis;
+    globalThis.setTimeout = (callback) => {
+      try {
+        callback();
+      } catch (error) {
+        errors.push(error);
+      }
+    };
+    try {
+      store.subscribe('user', () => {
+        throw new Error('listener');
+      });
+      store.subscribe('user.name', (name) => calls.push(['after', name]));
+      store.set('user.name', 'wilma');
+      await Promise.resolve();
+    } finally {
+      globalThis.setTimeout = originalSetTimeout;
+    }
+    assert.deepEqual(errors.map(({ message }) => message), ['listener']);
+    assert.deepEqual(calls, [['user', 'dim'], ['root'], ['after', 'wilma']]);
+  });
+
   it('defaultTo falls back for nullish and NaN values', () => {
     assert.strictEqual(defaultTo(undefined, 10), 10);
     assert.strictEqual(defaultTo(NaN, 10), 10);
@@ -153,10 +368,247 @@ describe('Utility Function Tests', () => {
     );
   });
 
+  it('flattenObject maps leaf paths to values', () => {
+    const object = { a: { b: [{ c: 1 }] }, 'd.e': 2, f: { 0: 3 }, g: [] };
+    assert.deepEqual(flattenObject(object), { 'a.b[0].c': 1, '["d.e"]': 2, 'f["0"]': 3, g: [] });
+  });
+
   it('get resolves deep paths with default fallback', () => {
     const object = { a: [{ b: { c: 3 } }] };
     assert.strictEqual(get(object, 'a[0].b.c'), 3);
     assert.strictEqual(get(object, 'a.b.c', 'default'), 'default');
+    assert.deepEqual(get(object, 'a[*].b.c'), [3]);
+    assert.deepEqual(get({ id: 1, c: [{ id: 2 }, { x: 3 }] }, '**.id'), [1, 2]);
+    assert.deepEqual(get(null, '*'), []);
+    const stars = { '*': { x: 1 }, y: { x: 2 } };
+    assert.deepEqual(paths(stars), ['["*"].x', 'y.x']);
+    assert.strictEqual(get(stars, '["*"].x'), 1);
+    assert.strictEqual(get(stars, ['*', 'x']), 1);
+    assert.deepEqual(get(stars, '*.x'), [1, 2]);
+    assert.deepEqual(get(stars, '[*].x'), [1, 2]);
+    assert.deepEqual(get(stars, '*'), { x: 1 });
+    assert.strictEqual(pathToString('a[*].b.**.c["*"]'), 'a.*.b.**.c["*"]');
+    assert.deepEqual(set({}, 'a.*', 1), {});
+  });
+
+  it('get and at support negative indexes and slice ranges', () => {
+    const object = { items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }], rows: [0, 1, 2, 3, 4, 5, 6] };
+    assert.strictEqual(get(object, 'items[-1].name'), 'c');
+    assert.strictEqual(get(object, ['items', -2, 'name']), 'b');
+    assert.strictEqual(get(object, 'items[-4].name', 'none'), 'none');
+    assert.deepEqual(at(object, 'rows[2:5]', 'rows[:2]', 'rows[-2:]', 'rows[1:99]'), [
+      [2, 3, 4],
+      [0, 1],
+      [5, 6],
+      [1, 2, 3, 4, 5, 6]
+    ]);
+    assert.strictEqual(get(object, 'items[1:].length'), 2);
+    assert.deepEqual(getAll(object, 'items[-1].name'), [{ path: ['items', 2, 'name'], value: 'c' }]);
+    assert.strictEqual(get({ '-1': 'key' }, '[-1]'), 'key');
+    assert.strictEqual(pathToString('rows[-1][2:5][:3]["2:5"]'), 'rows[-1][2:5][:3]["2:5"]');
+  });
+
+  it('has and the path writers resolve negative indexes and ignore ranges', () => {
+    const object = { items: [1, 2, 3] };
+    assert.ok(has(object, 'items[-1]'));
+    assert.ok(!has(object, 'items[-4]'));
+    assert.ok(has(object, 'items[0:2].length'));
+    assert.deepEqual(getAll(object, 'items[1:]'), [
+      { path: ['items', 1], value: 2 },
+      { path: ['items', 2], value: 3 }
+    ]);
+
+    set(object, 'items[-1]', 9);
+    set(object, 'items[0:2]', 'x');
+    set(object, 'items[-9]', 'x');
+    assert.deepEqual(object, { items: [1, 2, 9] });
+    assert.deepEqual(Object.keys(object.items), ['0', '1', '2']);
+    assert.deepEqual(setIn(object, 'items[-2]', 8), { items: [1, 8, 9] });
+    assert.strictEqual(setIn(object, 'items[0:2]', 'x'), object);
+    assert.deepEqual(updateIn(object, 'items[-1]', (n) => n + 1).items, [1, 2, 10]);
+    assert.deepEqual(unsetIn(object, 'items[-3]').items, [, 2, 9]);
+    assert.ok(unset(object, 'items[-1]'));
+    assert.ok(!(2 in object.items));
+
+    const history = createHistory(object);
+    history.set('items[-3]', 0);
+    history.set('items[1:]', 0);
+    assert.deepEqual(object.items, [0, 2, ,]);
+    history.undo();
+    assert.strictEqual(object.items[0], 1);
+    assert.ok(!history.canUndo());
+
+    const empty = { o: {} };
+    set(empty, 'x[-1].y', 9);
+    set(empty, 'o[-1]', 9);
+    assert.deepEqual(empty, { o: {} });
+    assert.strictEqual(setIn(empty, 'x[-1].y', 9), empty);
+    createHistory(empty).set('x[-1]', 9);
+    assert.deepEqual(empty, { o: {} });
+    const map = new Map([[-1, 'last']]);
+    assert.deepEqual(getAll({ map }, ['map', -1]), [{ path: ['map', -1], value: 'last' }]);
+  });
+
+  it('get descends into Map and WeakMap containers', () => {
+    const key = {};
+    const store = { users: new Map([['alice', { roles: ['admin'] }]]), meta: new WeakMap([[key, { n: 1 }]]) };
+    assert.strictEqual(get(store, 'users.alice.roles[0]'), 'admin');
+    assert.strictEqual(get(store, ['meta', key, 'n']), 1);
+    assert.strictEqual(get(store, 'users.bob.roles', 'none'), 'none');
+    assert.deepEqual(at(store, 'users.alice.roles[0]', 'users.size'), ['admin', undefined]);
+    assert.deepEqual(get(store, 'users[*].roles[0]'), ['admin']);
+  });
+
+  it('getAll returns matches with their concrete paths', () => {
+    const object = { users: [{ email: 'a@x' }, { name: 'b' }, { email: 'c@x' }] };
+    assert.deepEqual(getAll(object, 'users[*].email'), [
+      { path: ['users', 0, 'email'], value: 'a@x' },
+      { path: ['users', 2, 'email'], value: 'c@x' }
+    ]);
+    const cyclic = { id: 1, child: { id: 2 } };
+    cyclic.child.parent = cyclic;
+    assert.deepEqual(
+      getAll(cyclic, '**.id').map(({ path }) => path),
+      [['id'], ['child', 'id']]
+    );
+  });
+
+  it('getArray casts resolved values to arrays', () => {
+    const config = { hosts: 'db1', ports: [1, 2] };
+    assert.deepEqual(getArray(config, 'hosts'), ['db1']);
+    assert.strictEqual(getArray(config, 'ports'), config.ports);
+    assert.deepEqual(getArray(config, 'tags', []), []);
+    assert.throws(() => getArray(config, 'tags'), PathError);
+  });
+
+  it('getBoolean converts boolean-like values', () => {
+    const config = { debug: ' Yes ', off: 0, flag: new Boolean(false), mode: 'fast' };
+    assert.strictEqual(getBoolean(config, 'debug'), true);
+    assert.strictEqual(getBoolean(config, 'off'), false);
+    assert.strictEqual(getBoolean(config, 'flag'), false);
+    assert.strictEqual(getBoolean(config, 'mode', true), true);
+    assert.throws(() => getBoolean(config, 'mode'), {
+      name: 'TypeError',
+      message: 'Expected "mode" to be a boolean, found "fast"'
+    });
+    assert.throws(() => getBoolean({ debug: null }, 'debug'), {
+      name: 'TypeError',
+      message: 'Expected "debug" to be a boolean, found null'
+    });
+  });
+
+  it('getEnum accepts only allowed values', () => {
+    const config = { log: { level: 'warn' } };
+    assert.strictEqual(getEnum(config, 'log.level', ['info', 'warn']), 'warn');
+    assert.strictEqual(getEnum(config, 'log.level', ['info'], 'info'), 'info');
+    assert.throws(() => getEnum(config, 'log.level', ['info']), /to be one of "info", found "warn"/);
+    assert.strictEqual(getEnum({ a: 1n }, 'a', [1n, 2n]), 1n);
+    assert.throws(() => getEnum({ a: 3n }, 'a', [1n, 2n]), /to be one of 1, 2, found bigint/);
+  });
+
+  it('getInteger converts resolved values to integers', () => {
+    const config = { server: { port: '8080.9', name: 'x' } };
+    assert.strictEqual(getInteger(config, 'server.port'), 8080);
+    assert.strictEqual(getInteger(config, 'server.workers', 4), 4);
+    assert.strictEqual(getInteger(config, 'server.name', 1), 1);
+    assert.throws(() => getInteger(config, 'server.name'), TypeError);
+    assert.strictEqual(getInteger({ v: 'Infinity' }, 'v', 1), 1);
+    assert.throws(() => getInteger({ v: -Infinity }, 'v'), TypeError);
+    assert.strictEqual(getInteger({ v: '' }, 'v', 2), 2);
+  });
+
+  it('getNumber converts resolved values and rejects NaN', () => {
+    const config = { timeout: '2.5', host: 'db' };
+    assert.strictEqual(getNumber(config, 'timeout'), 2.5);
+    assert.strictEqual(getNumber(config, 'host', 30), 30);
+    assert.throws(() => getNumber(config, 'host'), /Expected "host" to be a number, found "db"/);
+    assert.throws(() => getNumber(config, 'retries'), PathError);
+    assert.strictEqual(getNumber({ v: '  ' }, 'v', 30), 30);
+    assert.strictEqual(getNumber({ v: [] }, 'v', 30), 30);
+    assert.throws(() => getNumber({ v: null }, 'v'), /found null/);
+  });
+
+  it('getOrThrow raises a PathError describing where resolution failed', () => {
+    const object = { a: [{ b: { c: 3, n: null, v: 5 } }] };
+    assert.strictEqual(getOrThrow(object, 'a[0].b.c'), 3);
+    assert.strictEqual(getOrThrow(object, 'a[0].b.n'), null);
+    assert.throws(() => getOrThrow(object, 'a[0].x.c'), (error) => {
+      assert.ok(error instanceof PathError);
+      assert.strictEqual(error.message, 'Cannot resolve "x" of "a[0].x.c": found object at "a[0]"');
+      assert.deepEqual(error.resolvedPath, ['a', 0]);
+      assert.strictEqual(error.resolvedSegment, 0);
+      assert.strictEqual(error.missingSegment, 'x');
+      assert.strictEqual(error.foundType, 'object');
+      return true;
+    });
+    assert.throws(() => getOrThrow(object, 'a[0].b.n.z'), { foundType: 'null', missingSegment: 'z' });
+    assert.throws(() => getOrThrow(object, 'a[0].b.v.z'), /found number at "a\[0\]\.b\.v"/);
+    assert.throws(() => getOrThrow(null, 'a'), { message: 'Cannot resolve "a" of "a": found null at the root' });
+  });
+
+  it('getString converts primitives and rejects objects', () => {
+    const config = { db: { port: 5432, options: {} } };
+    assert.strictEqual(getString(config, 'db.port'), '5432');
+    assert.strictEqual(getString(config, 'db.options', ''), '');
+    assert.throws(() => getString(config, 'db.options'), /found object/);
+  });
+
+  it('has checks own deep paths', () => {
+    const object = { a: { b: 2 }, c: [1] };
+    assert.strictEqual(has(object, 'a.b'), true);
+    assert.strictEqual(has(object, ['c', '0']), true);
+    assert.strictEqual(has(object, 'a.c'), false);
+    assert.strictEqual(has(Object.create({ a: 1 }), 'a'), false);
+  });
+
+  it('hasIn checks own and inherited deep paths', () => {
+    const object = Object.create({ a: Object.create({ b: 2 }) });
+    assert.strictEqual(hasIn(object, 'a.b'), true);
+    assert.strictEqual(hasIn(object, 'b'), false);
+  });
+
+  it('invalidateTag removes tagged entries across memoized functions', async () => {
+    const tags = (args) => [`user:${args[0].id}`, 'users'];
+    const name = memoize((user) => user.name, { tags });
+    const profile = memoizeAsync(async (user) => ({ ...user }), { tags, resolver: (user) => user.id });
+    const fred = { id: 42, name: 'fred' };
+    const barney = { id: 7, name: 'barney' };
+    name(fred);
+    name(barney);
+    await profile(fred);
+
+    assert.strictEqual(invalidateTag('user:42'), 2);
+    assert.ok(!name.cache.has(fred));
+    assert.ok(name.cache.has(barney));
+    assert.ok(!profile.cache.has(42));
+    assert.strictEqual(invalidateTag('user:42'), 0);
+    assert.strictEqual(invalidateTag('users'), 1);
+    assert.strictEqual(name.cache.size, 0);
+
+    const lookup = memoize((user) => user.id, { maxSize: 1, tags, stats: true });
+    for (let id = 0; id < 100; id++) {
+      lookup({ id });
+    }
+    assert.strictEqual(lookup.cache.size, 1);
+    assert.strictEqual(lookup.cache.stats().evictions, 99);
+    assert.ok(!memoizeTags.has('user:0'));
+    assert.strictEqual(memoizeTags.get('users').size, 1);
+    assert.strictEqual(invalidateTag('users'), 1);
+    assert.strictEqual(lookup.cache.size, 0);
+
+    const single = memoize((id) => id, { tags: () => 'user:1' });
+    assert.throws(() => single(1), { name: 'TypeError', message: 'Expected `tags` to return an array' });
+    assert.ok(!single.cache.has(1));
+    const untagged = memoizeAsync(async (id) => id, { tags: () => undefined });
+    assert.throws(() => untagged(1), TypeError);
+    assert.ok(!untagged.cache.has(1));
+
+    const pair = memoize((a, b) => a + b, { allArgs: true, tags: (args) => [`sum:${args[0]}`] });
+    pair(1, 2);
+    pair.cache.delete([1, 2]);
+    pair(1, 3);
+    assert.strictEqual(invalidateTag('sum:1'), 1);
+    assert.ok(!pair.cache.has([1, 3]));
   });
 
   it('isArguments detects arguments objects', () => {
@@ -231,6 +683,13 @@ describe('Utility Function Tests', () => {
     assert.strictEqual(isObjectLike(null), false);
   });
 
+  it('isPlainObject accepts only Object-created or null-prototype objects', () => {
+    assert.strictEqual(isPlainObject({ a: 1 }), true);
+    assert.strictEqual(isPlainObject(Object.create(null)), true);
+    assert.strictEqual(isPlainObject([1]), false);
+    assert.strictEqual(isPlainObject(new Date()), false);
+  });
+
   it('isSymbol covers primitives and objects', () => {
     assert.strictEqual(isSymbol(Symbol.iterator), true);
     assert.strictEqual(isSymbol(Object(Symbol('a'))), true);
@@ -253,6 +712,31 @@ describe('Utility Function Tests', () => {
     assert.deepEqual(keys('hi'), ['0', '1']);
   });
 
+  it('keysIn includes inherited enumerable keys', () => {
+    function Foo() {
+      this.a = 1;
+    }
+    Foo.prototype.c = 3;
+    assert.deepEqual(keysIn(new Foo()), ['a', 'c']);
+  });
+
+  it('last returns the final element', () => {
+    assert.strictEqual(last([1, 2, 3]), 3);
+    assert.strictEqual(last([]), undefined);
+  });
+
+  it('lens views and immutably sets a path', () => {
+    const address = lens('user.address');
+    const state = Object.freeze({ user: Object.freeze({ address: Object.freeze({ city: 'Lahti' }), id: 1 }), x: {} });
+    assert.deepEqual(address.view(state), { city: 'Lahti' });
+    const next = address.set(state, { city: 'Espoo' });
+    assert.deepEqual(next.user, { address: { city: 'Espoo' }, id: 1 });
+    assert.strictEqual(next.x, state.x);
+    assert.deepEqual(address.over(state, (a) => ({ ...a, zip: '15100' })).user.address, { city: 'Lahti', zip: '15100' });
+    assert.strictEqual(address.view(undefined), undefined);
+    assert.deepEqual(lens('[0].a').set(null, 1), [{ a: 1 }]);
+  });
+
   it('map maps every element with iteratee', () => {
     assert.deepEqual(
       map([4, 8], (n) => n * n),
@@ -260,6 +744,27 @@ describe('Utility Function Tests', () => {
     );
   });
 
+  it('memoize caches by every argument when allArgs is set', () => {
+    let calls = 0;
+    const join = memoize((...args) => {
+      calls += 1;
+      return args.length;
+    }, { allArgs: true });
+    const object = {};
+    join(1, object);
+    join(1, object);
+    join(1, {});
+    join(NaN, object);
+    join(NaN, object);
+    join(1);
+    assert.strictEqual(calls, 4);
+    assert.strictEqual(join.cache.size, 4);
+    assert.ok(join.cache.has([1, object]));
+    assert.ok(join.cache.delete([1, object]));
+    assert.ok(!join.cache.has([1, object]));
+    assert.throws(() => memoize(join, { allArgs: true, maxSize: 2 }), TypeError);
+  });
+
   it('memoize caches results and exposes cache', () => {
     let calls = 0;
     const double = memoize((n) => {
@@ -273,6 +778,281 @@ describe('Utility Function Tests', () => {
     assert.strictEqual(double(3), 9);
   });
 
+  it('memoize evicts least recently used and expired results', async () => {
+    let calls = 0;
+    const square = memoize((n) => {
+      calls += 1;
+      return n * n;
+    }, { maxSize: 2 });
+    square(1);
+    square(2);
+    square(1);
+    square(3);
+    assert.strictEqual(square.cache.size, 2);
+    assert.ok(square.cache.has(1));
+    assert.ok(!square.cache.has(2));
+    assert.strictEqual(calls, 3);
+
+    const keyed = memoize((a, b) => a + b, { ttl: 50, resolver: (a, b) => `${a},${b}` });
+    assert.strictEqual(keyed(1, 2), 3);
+    assert.ok(keyed.cache.has('1,2'));
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.ok(!keyed.cache.has('1,2'));
+    assert.strictEqual(keyed.cache.size, 0);
+
+    const expiring = memoize((n) => n, { ttl: 20, stats: true });
+    for (let index = 0; index < 100; index++) {
+      expiring(index);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(expiring.cache.stats(), { hits: 0, misses: 100, evictions: 100, size: 0, hitRatio: 0 });
+    expiring(0);
+    assert.strictEqual(expiring.cache.size, 1);
+
+    let uncached = 0;
+    const none = memoize(() => ++uncached, { maxSize: 0 });
+    none(1);
+    none(1);
+    assert.strictEqual(uncached, 2);
+    assert.strictEqual(none.cache.size, 0);
+    assert.throws(() => memoize(none, { maxSize: -1 }), TypeError);
+    assert.throws(() => memoize(none, { ttl: '10' }), TypeError);
+
+    const hot = stringToPath('hot.path');
+    for (let index = 0; index < 1000; index++) {
+      stringToPath(`cold${index}.path`);
+      if (index % 100 == 0) {
+        assert.strictEqual(stringToPath('hot.path'), hot);
+      }
+    }
+    assert.strictEqual(stringToPath('hot.path'), hot);
+    assert.strictEqual(stringToPath.cache.size, 500);
+  });
+
+  it('memoize exports and imports cache snapshots', async () => {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const fetchValue = (key) => (key === 'fn' ? () => {} : { key });
+    const cached = memoize(fetchValue, { ttl: 100 });
+    cached('a');
+    cached('fn');
+    const snapshot = JSON.parse(JSON.stringify(cached.cache.export()));
+    assert.strictEqual(snapshot.entries.length, 1);
+    assert.deepEqual(snapshot.entries[0].slice(0, 2), ['a', { key: 'a' }]);
+    assert.strictEqual(typeof snapshot.entries[0][2], 'number');
+
+    const restored = memoize(fetchValue, { ttl: 1000 });
+    assert.strictEqual(restored.cache.import(snapshot), 1);
+    assert.deepEqual(restored.cache.get('a'), { key: 'a' });
+    assert.strictEqual(memoize(fetchValue).cache.import(snapshot), 0);
+    assert.strictEqual(memoize(fetchValue, { stats: true }).cache.import(snapshot), 0);
+    assert.strictEqual(memoize(fetchValue, { maxSize: 10, tags: () => [] }).cache.import(snapshot), 1);
+    const { Cache } = memoize;
+    memoize.Cache = class extends Map {
+      constructor() {
+        super();
+        this.supportsExpiry = true;
+      }
+    };
+    try {
+      assert.strictEqual(memoize(fetchValue).cache.import(snapshot), 1);
+    } finally {
+      memoize.Cache = Cache;
+    }
+    await sleep(150);
+    assert.ok(!restored.cache.has('a'));
+    assert.strictEqual(memoize(fetchValue, { ttl: 1000 }).cache.import(snapshot), 0);
+
+    const dates = memoize((time) => new Date(time), { allArgs: true });
+    dates(0);
+    const encoder = {
+      encode: (value) => (value instanceof Date ? { date: value.getTime() } : value),
+      decode: (value) => (value && value.date !== undefined ? new Date(value.date) : value)
+    };
+    const copy = memoize((time) => new Date(time), { allArgs: true });
+    copy.cache.import(dates.cache.export(encoder), encoder);
+    assert.deepEqual(copy.cache.get([0]), new Date(0));
+  });
+
+  it('memoize reports cache statistics and hooks', () => {
+    const events = [];
+    const square = memoize((n) => n * n, {
+      maxSize: 1,
+      onHit: (key) => events.push(['hit', key]),
+      onMiss: (key) => events.push(['miss', key]),
+      onEvict: (key, value) => events.push(['evict', key, value])
+    });
+    square(2);
+    square(2);
+    square(3);
+    assert.deepEqual(events, [['miss', 2], ['hit', 2], ['miss', 3], ['evict', 2, 4]]);
+    assert.deepEqual(square.cache.stats(), { hits: 1, misses: 2, evictions: 1, size: 1, hitRatio: 1 / 3 });
+
+    class TinyCache extends Map {
+      set(key, value) {
+        if (this.size) {
+          const [oldest] = this.keys();
+          this.onEvict(oldest, this.get(oldest));
+          this.delete(oldest);
+        }
+        return super.set(key, value);
+      }
+    }
+    const { Cache } = memoize;
+    memoize.Cache = TinyCache;
+    try {
+      const double = memoize((n) => n * 2, { stats: true });
+      double(1);
+      double(2);
+      double(2);
+      assert.deepEqual(double.cache.stats(), { hits: 1, misses: 2, evictions: 1, size: 1, hitRatio: 1 / 3 });
+    } finally {
+      memoize.Cache = Cache;
+    }
+  });
+
+  it('memoizeAsync shares pending promises and evicts rejections', async () => {
+    let calls = 0;
+    const load = memoizeAsync(async (id) => {
+      calls += 1;
+      if (id < 0) {
+        throw new Error('invalid');
+      }
+      return { id };
+    });
+    const first = load(1);
+    assert.strictEqual(load(1), first);
+    assert.deepEqual(await first, { id: 1 });
+    await assert.rejects(load(-1), /invalid/);
+    await assert.rejects(load(-1), /invalid/);
+    assert.strictEqual(calls, 3);
+    assert.ok(!load.cache.has(-1));
+  });
+
+  it('memoizeAsync serves stale results while revalidating', async () => {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    let version = 0;
+    const load = memoizeAsync(async () => {
+      version += 1;
+      return version;
+    }, { ttl: 10, staleWhileRevalidate: 1000 });
+    assert.strictEqual(await load('a'), 1);
+    await sleep(20);
+    assert.strictEqual(await load('a'), 1);
+    assert.strictEqual(await load('a'), 1);
+    await sleep(0);
+    assert.strictEqual(await load('a'), 2);
+    assert.strictEqual(version, 2);
+  });
+
+  it('paths lists every leaf path and skips circular references', () => {
+    const object = { a: [{ b: 1 }, 2], 'c.d': { e: {} }, date: new Date(0) };
+    object.self = object;
+    assert.deepEqual(paths(object), ['a[0].b', 'a[1]', '["c.d"].e', 'date']);
+    assert.deepEqual(
+      paths(object).map((path) => get(object, path)),
+      [1, 2, {}, object.date]
+    );
+  });
+
+  it('pathToPointer formats escaped JSON Pointers', () => {
+    assert.strictEqual(pathToPointer(['items', 0, 'name']), '/items/0/name');
+    assert.strictEqual(pathToPointer(['a/b', 'c~d', '']), '/a~1b/c~0d/');
+    assert.strictEqual(pathToPointer([]), '');
+  });
+
+  it('pathToString produces strings that parse back to the same path', () => {
+    assert.strictEqual(pathToString(['a', 0, 'b.c', '']), 'a[0]["b.c"][""]');
+    assert.strictEqual(pathToString("a['b'].c"), 'a.b.c');
+    const samples = [
+      ['a', 0, 'b.c', ''],
+      ['0', 0],
+      ['say "hi"', 'back\\slash', "it's", '[x]', 'a b', '/x']
+    ];
+    samples.forEach((path) => {
+      const string = pathToString(path);
+      assert.strictEqual(pathToString(string), string);
+      assert.deepEqual(getAll(unflattenObject({ [string]: 1 }), string)[0].path, path);
+    });
+    const bounds = [9007199254740990, -9007199254740990];
+    assert.deepEqual(stringToPath(pathToString(bounds)), bounds);
+    assert.strictEqual(pathToString([9007199254740991, 1.5]), '["9007199254740991"]["1.5"]');
+    assert.deepEqual(stringToPath('[-9007199254740991]'), ['-9007199254740991']);
+  });
+
+  it('pointerToPath parses JSON Pointers and plugs into path methods', () => {
+    assert.deepEqual(pointerToPath('/a~1b/c~0d'), ['a/b', 'c~d']);
+    assert.deepEqual(pointerToPath(''), []);
+    assert.throws(() => pointerToPath('a/b'), SyntaxError);
+    assert.throws(() => pointerToPath('/a~2'), SyntaxError);
+    assert.strictEqual(get({ a: { b: 1 } }, '/a~b'), undefined);
+    assert.strictEqual(get({ '/a~b': 1 }, '/a~b'), 1);
+    assert.ok(!has({ a: { b: 1 } }, '/a~b'));
+    assert.deepEqual(set({}, '/a~b', 1), { '/a~b': 1 });
+
+    const object = { items: [{ name: 'x' }], 'a/b': 1 };
+    assert.strictEqual(get(object, '/items/0/name'), 'x');
+    assert.deepEqual(at(object, '/a~1b', '/items/0/name'), [1, 'x']);
+    set(object, '/list/0/id', 7);
+    assert.deepEqual(object.list, [{ id: 7 }]);
+    assert.strictEqual(has(object, '/list/0/id'), true);
+  });
+
+  it('project selects paths into a new shape', () => {
+    const source = {
+      user: { profile: { name: 'fred' }, address: [{ city: 'Lahti' }] },
+      items: [{ price: 2 }, { price: 3 }]
+    };
+    const dto = project(source, {
+      name: 'user.profile.name',
+      location: { city: 'user.address[0].city', first: ['items', 0, 'price'] },
+      total: (o) => o.items.reduce((sum, item) => sum + item.price, 0),
+      missing: 'user.email'
+    });
+    assert.deepEqual(dto, { name: 'fred', location: { city: 'Lahti', first: 2 }, total: 5, missing: undefined });
+    assert.deepEqual(project(null, { a: 'a' }), { a: undefined });
+  });
+
+  it('redact masks or removes matched paths in a deep copy', () => {
+    const payload = {
+      password: 'hunter2',
+      session: { token: 'abc', user: { token: 'def' } },
+      cards: [{ number: '4242', brand: 'visa' }]
+    };
+    payload.self = payload;
+    const masked = redact(payload, ['password', '**.token', 'cards[*].number'], { mask: '***' });
+    assert.deepEqual(masked.session, { token: '***', user: { token: '***' } });
+    assert.deepEqual(masked.cards, [{ number: '***', brand: 'visa' }]);
+    assert.strictEqual(masked.password, '***');
+    assert.strictEqual(masked.self, masked);
+    assert.strictEqual(payload.password, 'hunter2');
+    assert.strictEqual(payload.cards[0].number, '4242');
+
+    const removed = redact(payload, 'cards[*].number', { remove: true });
+    assert.deepEqual(removed.cards, [{ brand: 'visa' }]);
+    assert.strictEqual(redact(payload, 'password').password, '[REDACTED]');
+    const deck = { cards: [{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }] };
+    assert.deepEqual(redact(deck, 'cards[0]', { remove: true }).cards, [{ n: 2 }, { n: 3 }, { n: 4 }]);
+    assert.deepEqual(redact(deck, ['cards[0]', 'cards[2]', 'cards[0:2]'], { remove: true }).cards, [{ n: 4 }]);
+    assert.strictEqual(deck.cards.length, 4);
+
+    const key = {};
+    const state = {
+      session: new Map([['token', 'secret'], ['user', 'fred']]),
+      vault: new WeakMap([[key, { token: 'secret' }]]),
+      list: ['a', 'b', 'c']
+    };
+    const clean = redact(state, ['**.token', 'list[0:2]']);
+    assert.strictEqual(clean.session.get('token'), '[REDACTED]');
+    assert.strictEqual(clean.session.get('user'), 'fred');
+    assert.ok(!Object.prototype.hasOwnProperty.call(clean.session, 'token'));
+    assert.deepEqual(clean.list, ['[REDACTED]', '[REDACTED]', 'c']);
+    assert.strictEqual(state.session.get('token'), 'secret');
+    assert.strictEqual(redact(state, 'session.token', { remove: true }).session.has('token'), false);
+    const vault = redact(state, [['vault', key, 'token']]).vault;
+    assert.strictEqual(vault, '[REDACTED]');
+    assert.strictEqual(state.vault.get(key).token, 'secret');
+  });
+
   it('reduce accumulates arrays and objects', () => {
     assert.strictEqual(
       reduce([1, 2], (sum, n) => sum + n, 0),
@@ -291,11 +1071,63 @@ describe('Utility Function Tests', () => {
     assert.deepEqual(grouped, { 1: ['a', 'c'], 2: ['b'] });
   });
 
+  it('registerPathAccessor lets get read custom containers', () => {
+    class Registry {
+      constructor(entries) {
+        this.entries = entries;
+      }
+      lookup(key) {
+        return this.entries[key];
+      }
+    }
+    const store = { users: new Map([['alice', new Registry({ roles: ['admin'] })]]) };
+    assert.strictEqual(get(store, 'users.alice.roles[0]'), undefined);
+    registerPathAccessor(Registry, (registry, key) => registry.lookup(key));
+    assert.strictEqual(get(store, 'users.alice.roles[0]'), 'admin');
+    registerPathAccessor(Registry);
+    assert.strictEqual(get(store, 'users.alice.roles[0]'), undefined);
+    assert.throws(() => registerPathAccessor(Registry, 'lookup'), TypeError);
+  });
+
+  it('set writes deep paths, creating missing containers', () => {
+    const object = { a: [{ b: { c: 3 } }] };
+    assert.strictEqual(set(object, 'a[0].b.c', 4), object);
+    assert.strictEqual(object.a[0].b.c, 4);
+    set(object, ['x', '0', 'y'], 5);
+    assert.deepEqual(object.x, [{ y: 5 }]);
+    assert.strictEqual(set(null, 'a', 1), null);
+  });
+
+  it('setIn returns a new root sharing untouched branches', () => {
+    const object = Object.freeze({ a: Object.freeze([Object.freeze({ b: 1 })]), d: Object.freeze({ e: 2 }) });
+    const result = setIn(object, 'a[0].b', 3);
+    assert.notStrictEqual(result, object);
+    assert.deepEqual(result, { a: [{ b: 3 }], d: { e: 2 } });
+    assert.strictEqual(result.d, object.d);
+    assert.strictEqual(object.a[0].b, 1);
+    assert.deepEqual(setIn({}, 'x[0].y', 1), { x: [{ y: 1 }] });
+    assert.strictEqual(setIn(object, 'd.e', 2), object);
+    const special = { m: new Map([['x', 0]]), d: new Date(0) };
+    assert.strictEqual(setIn(special, 'm.x', 1), special);
+    assert.strictEqual(setIn(special, 'd.x', 1), special);
+    assert.strictEqual(unsetIn(special, 'd.getTime'), special);
+    assert.strictEqual(setIn(special, 'd', new Date(5)).d.getTime(), 5);
+  });
+
+  it('setWith customizes created containers', () => {
+    assert.deepEqual(setWith({}, '[0][1]', 'a', Object), { 0: { 1: 'a' } });
+  });
+
   it('slice mirrors Array#slice semantics', () => {
     assert.deepEqual(slice([1, 2, 3, 4], 1, 3), [2, 3]);
     assert.deepEqual(slice([1, 2, 3], -2), [2, 3]);
   });
 
+  it('some stops at the first truthy predicate result', () => {
+    assert.strictEqual(some([null, 0, 'yes', false], Boolean), true);
+    assert.strictEqual(some([], Boolean), false);
+  });
+
   it('toFinite converts infinity to max finite value', () => {
     assert.strictEqual(toFinite(Infinity), Number.MAX_VALUE);
     assert.strictEqual(toFinite('3.2'), 3.2);
@@ -311,12 +1143,99 @@ describe('Utility Function Tests', () => {
     assert.ok(Number.isNaN(toNumber(Symbol('a'))));
   });
 
+  it('toPlainObject flattens inherited enumerable properties', () => {
+    function Foo() {
+      this.b = 2;
+    }
+    Foo.prototype.c = 3;
+    assert.deepEqual(toPlainObject(new Foo()), { b: 2, c: 3 });
+  });
+
   it('toString converts nullish and preserves -0', () => {
     assert.strictEqual(toStringFn(null), '');
     assert.strictEqual(toStringFn(-0), '-0');
     assert.strictEqual(toStringFn([1, [2]]), '1,2');
   });
 
+  it('track records writes and deletes by path with commit and rollback', () => {
+    const form = { user: { name: 'fred', tags: ['a'], age: 40 }, created: new Date(0) };
+    const proxy = track(form);
+    assert.strictEqual(proxy.user, proxy.user);
+    proxy.user.name = 'barney';
+    proxy.user.tags.push('b');
+    delete proxy.user.age;
+    proxy.user.name = 'fred';
+    proxy.extra = { nested: true };
+    assert.deepEqual(proxy.changes(), [
+      { path: ['user', 'tags', 1], oldValue: undefined, newValue: 'b' },
+      { path: ['user', 'age'], oldValue: 40, newValue: undefined },
+      { path: ['extra'], oldValue: undefined, newValue: { nested: true } }
+    ]);
+    assert.strictEqual(form.created.getTime(), proxy.created.getTime());
+
+    proxy.rollback();
+    assert.deepEqual(form, { user: { name: 'fred', tags: ['a'], age: 40 }, created: new Date(0) });
+    assert.deepEqual(proxy.changes(), []);
+
+    proxy.user.age = 41;
+    proxy.commit();
+    assert.deepEqual(proxy.changes(), []);
+    proxy.rollback();
+    assert.strictEqual(form.user.age, 41);
+    assert.strictEqual(proxy.user.changes, undefined);
+    assert.ok(!('changes' in form));
+  });
+
+  it('unflattenObject restores flattened objects losslessly', () => {
+    const object = { a: [{ b: 1 }, 2], 'c.d': { 'e"f': [] }, g: { 0: 'x', '': null } };
+    assert.deepEqual(unflattenObject(flattenObject(object)), object);
+    assert.strictEqual(unflattenObject({ 'a[1]': 1 }).a[1], 1);
+    assert.deepEqual(unflattenObject({ '__proto__.polluted': 1 }), {});
+    assert.deepEqual(unflattenObject({ 'toString.pwn': 1 }), { toString: { pwn: 1 } });
+    unflattenObject({ 'constructor.pwn': 1 });
+    assert.strictEqual(Object.pwn, undefined);
+    assert.strictEqual(Object.prototype.toString.pwn, undefined);
+    assert.strictEqual({}.polluted, undefined);
+  });
+
+  it('unset deletes deep paths', () => {
+    const object = { a: [{ b: { c: 7 } }] };
+    assert.strictEqual(unset(object, 'a[0].b.c'), true);
+    assert.deepEqual(object, { a: [{ b: {} }] });
+    assert.strictEqual(unset(null, 'a'), true);
+  });
+
+  it('unsetIn removes paths without mutating the input', () => {
+    const object = Object.freeze({ a: Object.freeze({ b: 1, c: 2 }), d: Object.freeze([1]) });
+    const result = unsetIn(object, 'a.b');
+    assert.deepEqual(result, { a: { c: 2 }, d: [1] });
+    assert.strictEqual(result.d, object.d);
+    assert.strictEqual(unsetIn(object, 'a.x.y'), object);
+  });
+
+  it('update applies updater at deep paths', () => {
+    const object = { a: [{ b: { c: 3 } }] };
+    update(object, 'a[0].b.c', (n) => n * n);
+    assert.strictEqual(object.a[0].b.c, 9);
+    update(object, 'x[0].y', (n) => (n ? n + 1 : 0));
+    assert.deepEqual(object.x, [{ y: 0 }]);
+  });
+
+  it('updateIn applies updater immutably', () => {
+    const object = Object.freeze({ a: Object.freeze({ n: 2 }), b: Object.freeze({}) });
+    const result = updateIn(object, 'a.n', (n) => n * n);
+    assert.strictEqual(result.a.n, 4);
+    assert.strictEqual(object.a.n, 2);
+    assert.strictEqual(result.b, object.b);
+  });
+
+  it('updateWith customizes created containers', () => {
+    assert.deepEqual(
+      updateWith({}, '[0][1]', () => 'a', Object),
+      { 0: { 1: 'a' } }
+    );
+  });
+
   it('upperFirst capitalizes only the first character', () => {
     assert.strictEqual(upperFirst('fred'), 'Fred');
   });
@@ -327,3 +1246,107 @@ describe('Utility Function Tests', () => {
     assert.deepEqual(words('fred, barney, & pebbles', /[^, ]+/g), ['fred', 'barney', '&', 'pebbles']);
   });
 });
+
+describe('Prototype pollution hardening', () => {
+  const unsafePaths = [
+    '__proto__.polluted',
+    ['__proto__', 'polluted'],
+    'constructor.prototype.polluted',
+    ['constructor', 'prototype', 'polluted'],
+    'a.constructor.prototype.polluted',
+    '/__proto__/polluted',
+    '/constructor/prototype/polluted',
+    'constructor.polluted',
+    '/constructor/polluted'
+  ];
+
+  const assertNotPolluted = () => {
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+    assert.strictEqual(Object.polluted, undefined);
+  };
+
+  afterEach(() => {
+    delete Object.prototype.polluted;
+    delete Object.polluted;
+  });
+
+  unsafePaths.forEach((path) => {
+    it(`path writers ignore ${JSON.stringify(path)}`, () => {
+      set({}, path, 'yes');
+      setWith({}, path, 'yes', Object);
+      update({}, path, () => 'yes');
+      updateWith({}, path, () => 'yes', Object);
+      const object = {};
+      assert.strictEqual(setIn(object, path, 'yes'), object);
+      assert.strictEqual(updateIn(object, path, () => 'yes'), object);
+      const history = createHistory({});
+      history.set(path, 'yes');
+      assert.ok(!history.canUndo());
+      assertNotPolluted();
+    });
+  });
+
+  it('unset and unsetIn refuse to delete through prototypes', () => {
+    assert.strictEqual(unset({}, 'constructor.prototype.toString'), false);
+    assert.strictEqual(unset({}, '__proto__.toString'), false);
+    const object = { a: 1 };
+    assert.strictEqual(unsetIn(object, 'constructor.prototype.toString'), object);
+    assert.strictEqual(typeof Object.prototype.toString, 'function');
+  });
+
+  it('function prototypes are not writable through paths', () => {
+    function Foo() {}
+    const object = { Foo };
+    set(object, 'Foo.prototype.polluted', 'yes');
+    assert.strictEqual(Foo.prototype.polluted, undefined);
+  });
+
+  it('applyPatch refuses operations that reach a prototype', () => {
+    const doc = { a: 1 };
+    assert.throws(() => applyPatch(doc, [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }]), /shared prototype/);
+    assert.throws(
+      () => applyPatch(doc, [{ op: 'add', path: '/constructor/prototype/polluted', value: 'yes' }]),
+      /shared prototype/
+    );
+    assert.throws(() => applyPatch({}, [{ op: 'add', path: '/constructor/pwned', value: 1 }]));
+    assert.throws(() => applyPatch({}, [{ op: 'add', path: '/toString/pwned', value: 1 }]), /does not exist/);
+    assert.throws(() => applyPatch({}, [{ op: 'replace', path: '/hasOwnProperty', value: 1 }]), /does not exist/);
+    assert.strictEqual(Object.pwned, undefined);
+    assert.strictEqual(Object.prototype.toString.pwned, undefined);
+    assert.deepEqual(doc, { a: 1 });
+    assertNotPolluted();
+  });
+
+  it('merging, copying and counting keep __proto__ and constructor keys as own properties', () => {
+    const payload = JSON.parse(
+      '{"__proto__": {"polluted": "yes"}, "constructor": "x", "a": {"__proto__": {"polluted": "yes"}}}'
+    );
+    const isOwnData = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    const merged = {};
+    baseMerge(merged, payload, 0);
+    assert.ok(isOwnData(merged, '__proto__'));
+    assert.deepEqual(merged.a, payload.a);
+    assert.strictEqual(merged.constructor, 'x');
+
+    const plain = toPlainObject(payload);
+    assert.ok(isOwnData(plain, '__proto__'));
+    assert.strictEqual(plain.constructor, 'x');
+
+    const copy = setIn(payload, 'b', 1);
+    assert.strictEqual(Object.getPrototypeOf(copy), Object.prototype);
+    assert.ok(isOwnData(copy, '__proto__'));
+    assert.strictEqual(copy.constructor, 'x');
+    assert.strictEqual(copy.polluted, undefined);
+
+    const counts = countBy(['constructor', 'a', '__proto__'], (value) => value);
+    assert.deepEqual(Object.keys(counts), ['constructor', 'a', '__proto__']);
+    assert.ok(isOwnData(counts, '__proto__'));
+
+    const object = { car: {} };
+    set(object, 'car.constructor', 'Ford');
+    assert.strictEqual(object.car.constructor, 'Ford');
+    assertNotPolluted();
+  });
+});